@@ -41,6 +41,22 @@ public class EntraIdConfiguration
     /// </summary>
     public List<string> Scopes { get; set; } = new() { "openid", "profile", "email" };
 
+    /// <summary>
+    /// How the frontend signs in and renews tokens: "redirect" (leaves the page) or "popup" (keeps it open,
+    /// falling back to a redirect when the browser blocks popups)
+    /// </summary>
+    public string InteractionMode { get; set; } = "redirect";
+
+    /// <summary>
+    /// Minutes without activity before the frontend clears its documents and local data and signs out; 0 (the default) turns this off
+    /// </summary>
+    public int IdleTimeoutMinutes { get; set; } = 0;
+
+    /// <summary>
+    /// Seconds before the idle sign-out that the frontend warns the user, with a countdown
+    /// </summary>
+    public int IdleWarningSeconds { get; set; } = 60;
+
     /// <summary>
     /// Validates if the configuration is properly set up
     /// </summary>
@@ -8,6 +8,7 @@ using Backend.Models;
 using Backend.Services;
 using Backend.Services.Interfaces;
 using System.IO;
+using System.Text.Json;
 
 namespace Backend.Controllers
 {
@@ -21,15 +22,18 @@ namespace Backend.Controllers
         private readonly ILogger<ChatController> _logger;
         private readonly Backend.Services.Interfaces.IChatService _chatService;
         private readonly Backend.Services.Interfaces.IDocumentPersistenceService _documentPersistenceService;
+        private readonly Backend.Services.Interfaces.IDocumentContextService _documentContextService;
         
         public ChatController(
             ILogger<ChatController> logger,
             Backend.Services.Interfaces.IChatService chatService,
-            Backend.Services.Interfaces.IDocumentPersistenceService documentPersistenceService)
+            Backend.Services.Interfaces.IDocumentPersistenceService documentPersistenceService,
+            Backend.Services.Interfaces.IDocumentContextService documentContextService)
         {
             _logger = logger;
             _chatService = chatService;
             _documentPersistenceService = documentPersistenceService;
+            _documentContextService = documentContextService;
         }
 
         /// <summary>
@@ -42,129 +46,8 @@ namespace Backend.Controllers
             {
                 _logger.LogInformation("Received chat request. MaintainDocumentContext: {MaintainContext}", request.MaintainDocumentContext);
                 
-                // Get the document from our persistence service using the session ID
-                string sessionId = HttpContext.Session.Id;
-                _logger.LogInformation("Processing chat request for session ID: {SessionId}", sessionId);
-                
-                // Use client-provided session ID as a fallback if available
-                string clientSessionId = request.ClientSessionId;
-                if (!string.IsNullOrEmpty(clientSessionId))
-                {
-                    _logger.LogInformation("Client provided session ID: {ClientSessionId}", clientSessionId);
-                    
-                    // Store the association between server session and client session
-                    HttpContext.Session.SetString("ClientSessionId", clientSessionId);
-                }
-                
-                // Store session ID in a cookie so we can verify if it's changing between requests
-                HttpContext.Response.Cookies.Append("LastSessionId", sessionId, new CookieOptions { HttpOnly = false, IsEssential = true });
-                
-                // Check if there's a cookie with previous session ID to see if it changed
-                if (HttpContext.Request.Cookies.TryGetValue("LastSessionId", out var lastSessionId))
-                {
-                    if (lastSessionId != sessionId)
-                    {
-                        _logger.LogError("SESSION CHANGED! Previous session: {PreviousSession}, Current session: {CurrentSession}", 
-                            lastSessionId, sessionId);
-                    }
-                    else
-                    {
-                        _logger.LogInformation("Session ID consistent with previous request: {SessionId}", sessionId);
-                    }
-                }
-                
-                // Ensure session is active and persisted
-                if (!HttpContext.Session.IsAvailable)
-                {
-                    _logger.LogWarning("Session is not available. Creating a new session.");
-                    HttpContext.Session.SetString("SessionCheck", "Active"); // Force session creation
-                    sessionId = HttpContext.Session.Id;
-                    _logger.LogInformation("Created new session with ID: {SessionId}", sessionId);
-                }
-                
-                DocumentInfo documentInfo = null;
-                
-                // If the client wants to maintain document context, get it from our persistence service
-                if (request.MaintainDocumentContext)
-                {
-                    _logger.LogInformation("Maintaining document context as requested for session: {SessionId}", sessionId);
-                    
-                    // First try with server session ID
-                    documentInfo = _documentPersistenceService.GetDocument(sessionId);
-                    
-                    // If not found but we have a client session ID, try with that as fallback
-                    if (documentInfo == null && !string.IsNullOrEmpty(request.ClientSessionId))
-                    {
-                        _logger.LogWarning("Document not found with server session ID, trying client session ID: {ClientSessionId}", request.ClientSessionId);
-                        documentInfo = _documentPersistenceService.GetDocument(request.ClientSessionId);
-                        
-                        // If found with client ID, re-save with server session ID for future requests
-                        if (documentInfo != null)
-                        {
-                            _logger.LogInformation("Found document using client session ID, re-saving with server session ID");
-                            _documentPersistenceService.StoreDocument(sessionId, documentInfo);
-                        }
-                    }
-                    
-                    if (documentInfo != null)
-                    {
-                        _logger.LogInformation("SUCCESS: Retrieved document from persistence service: {FileName} with {ChunkCount} chunks for session {SessionId}",
-                            documentInfo.FileName, documentInfo.Chunks?.Count ?? 0, sessionId);
-                        
-                        // Also save with client session ID if available for redundancy
-                        if (!string.IsNullOrEmpty(request.ClientSessionId) && sessionId != request.ClientSessionId)
-                        {
-                            _logger.LogInformation("Redundantly storing document with client session ID: {ClientSessionId}", request.ClientSessionId);
-                            _documentPersistenceService.StoreDocument(request.ClientSessionId, documentInfo);
-                        }
-                        
-                        // Add detailed logging about the document chunks
-                        if (documentInfo.Chunks == null || documentInfo.Chunks.Count == 0)
-                        {
-                            _logger.LogWarning("Document exists but has NO CHUNKS. This is likely an error. Session: {SessionId}", sessionId);
-                        }
-                        else
-                        {
-                            // Log some sample chunk content for debugging
-                            _logger.LogInformation("First chunk sample for session {SessionId}: {Sample}", 
-                                sessionId,
-                                documentInfo.Chunks[0].Length > 50 ? documentInfo.Chunks[0].Substring(0, 50) + "..." : documentInfo.Chunks[0]);
-                                
-                            // Log number of chunks with metadata
-                            _logger.LogInformation("Document has {ChunkCount} chunks and {MetadataCount} metadata entries",
-                                documentInfo.Chunks.Count,
-                                documentInfo.ChunkMetadata?.Count ?? 0);
-                                
-                            // Specifically look for page 42 in chunks
-                            bool foundPage42 = false;
-                            foreach (var chunk in documentInfo.Chunks)
-                            {
-                                if (chunk.Contains("PAGE 42 OF") || chunk.Contains("DOCUMENT PAGE 42 of"))
-                                {
-                                    foundPage42 = true;
-                                    _logger.LogInformation("Found PAGE 42 in document chunks: {Preview}", 
-                                        chunk.Length > 100 ? chunk.Substring(0, 100) + "..." : chunk);
-                                    break;
-                                }
-                            }
-                            
-                            if (!foundPage42)
-                            {
-                                _logger.LogWarning("Could not find PAGE 42 in any document chunks");
-                            }
-                        }
-                    }
-                    else
-                    {
-                        _logger.LogWarning("No document found in persistence service for session {SessionId}", sessionId);
-                    }
-                }
-                else
-                {
-                    // If we're not maintaining document context, clear it from persistence
-                    _logger.LogInformation("Not maintaining document context, clearing any existing context");
-                    _documentPersistenceService.ClearDocument(sessionId);
-                }
+                string sessionId = PrepareSession(request);
+                var (documentInfo, documents) = ResolveDocumentContext(request, sessionId);
                 
                 // Process the chat request with conversation history and document context if available
                 string response;
@@ -184,6 +67,7 @@ namespace Backend.Controllers
                 var chatResponse = new ChatResponse { 
                     Response = response,
                     DocumentInContext = documentInfo != null || request.MaintainDocumentContext,
+                    Documents = DescribeDocuments(documents)
                 };
                 
                 // Explicitly include document info when available
@@ -198,20 +82,282 @@ namespace Backend.Controllers
                 
                 return Ok(chatResponse);
             }
+            catch (Azure.RequestFailedException ex) when (ex.Status == 429 || ex.Status == 503)
+            {
+                // Pass the status and the wait the AI service asked for on to the client, which may retry
+                _logger.LogWarning(ex, "AI service unavailable ({Status}) while processing chat request: {ErrorMessage}", ex.Status, ex.Message);
+                var retryAfterSeconds = GetRetryAfterSeconds(ex);
+                if (retryAfterSeconds != null)
+                {
+                    Response.Headers.RetryAfter = retryAfterSeconds.Value.ToString();
+                }
+                return StatusCode(ex.Status, new { error = DescribeUnavailableService(ex.Status) });
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error processing chat request: {ErrorMessage}", ex.Message);
                 _logger.LogError("Stack trace: {StackTrace}", ex.StackTrace);
                 
-                // Return more detailed error for debugging
-                return Ok(new ChatResponse { 
-                    Response = $"Error: {ex.Message}",
-                    DocumentInContext = false,
-                    DocumentInfo = null
-                });
+                // The details stay in the log; the client shows its own message for the status
+                return StatusCode(500, new { error = "An error occurred while generating the response." });
             }
         }
 
+        /// <summary>
+        /// Streams a chat response as Server-Sent Events, with optional document context.
+        /// Emits a "delta" data event per generated piece, then a "done" event carrying
+        /// the document context state, or an "error" event if generation fails midway.
+        /// </summary>
+        [HttpPost("stream")]
+        public async Task StreamAsync([FromBody] ChatRequest request, CancellationToken cancellationToken)
+        {
+            _logger.LogInformation("Received streaming chat request. MaintainDocumentContext: {MaintainContext}", request.MaintainDocumentContext);
+            
+            string sessionId = PrepareSession(request);
+            var (documentInfo, documents) = ResolveDocumentContext(request, sessionId);
+            
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers.Append("X-Accel-Buffering", "no"); // Stop proxies from buffering the stream
+            
+            try
+            {
+                await foreach (var delta in _chatService.StreamChatRequestWithHistory(
+                    request.Message, request.ConversationHistory, documentInfo, cancellationToken))
+                {
+                    await WriteServerSentEventAsync(null, new { delta }, cancellationToken);
+                }
+                
+                await WriteServerSentEventAsync("done", new {
+                    documentInContext = documentInfo != null || request.MaintainDocumentContext,
+                    documentInfo = documentInfo == null ? null : new {
+                        fileName = documentInfo.FileName,
+                        chunkCount = documentInfo.Chunks?.Count ?? 0
+                    },
+                    documents = DescribeDocuments(documents)
+                }, cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Streaming chat request cancelled by the client for session {SessionId}", sessionId);
+            }
+            catch (Azure.RequestFailedException ex) when (ex.Status == 429 || ex.Status == 503)
+            {
+                // The status has already been sent, so the event says the model is busy and the client may retry
+                _logger.LogWarning(ex, "AI service unavailable ({Status}) while streaming chat response: {ErrorMessage}", ex.Status, ex.Message);
+                await WriteServerSentEventAsync("error", new {
+                    error = DescribeUnavailableService(ex.Status),
+                    status = ex.Status,
+                    retryAfter = GetRetryAfterSeconds(ex)
+                }, CancellationToken.None);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error streaming chat response: {ErrorMessage}", ex.Message);
+                await WriteServerSentEventAsync("error", new { error = "An error occurred while generating the response.", status = 500 }, CancellationToken.None);
+            }
+        }
+
+        /// <summary>
+        /// Describes an AI service status that the client may retry
+        /// </summary>
+        private static string DescribeUnavailableService(int status)
+        {
+            return status == 429
+                ? "The AI service is receiving too many requests."
+                : "The AI service is temporarily unavailable.";
+        }
+
+        /// <summary>
+        /// Reads how many seconds the AI service asked callers to wait, from its Retry-After header
+        /// </summary>
+        /// <returns>The wait in seconds, or null if the service didn't ask for one</returns>
+        private static int? GetRetryAfterSeconds(Azure.RequestFailedException ex)
+        {
+            var rawResponse = ex.GetRawResponse();
+            if (rawResponse == null || !rawResponse.Headers.TryGetValue("Retry-After", out var retryAfter))
+            {
+                return null;
+            }
+            
+            // Retry-After is either a number of seconds or a date
+            if (int.TryParse(retryAfter, out var seconds))
+            {
+                return Math.Max(0, seconds);
+            }
+            if (DateTimeOffset.TryParse(retryAfter, out var retryAt))
+            {
+                return Math.Max(0, (int)Math.Ceiling((retryAt - DateTimeOffset.UtcNow).TotalSeconds));
+            }
+            return null;
+        }
+
+        /// <summary>
+        /// Writes a single Server-Sent Event and flushes it to the client
+        /// </summary>
+        private async Task WriteServerSentEventAsync(string? eventName, object payload, CancellationToken cancellationToken)
+        {
+            var frame = new System.Text.StringBuilder();
+            if (!string.IsNullOrEmpty(eventName))
+            {
+                frame.Append("event: ").Append(eventName).Append('\n');
+            }
+            frame.Append("data: ").Append(JsonSerializer.Serialize(payload)).Append("\n\n");
+            
+            await Response.WriteAsync(frame.ToString(), cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+
+        /// <summary>
+        /// Ensures the server session is active and linked to the client-provided session ID
+        /// </summary>
+        /// <returns>The server session ID to use for this request</returns>
+        private string PrepareSession(ChatRequest request)
+        {
+            // The server session ID is the primary key for document persistence
+            string sessionId = HttpContext.Session.Id;
+            _logger.LogInformation("Processing chat request for session ID: {SessionId}", sessionId);
+            
+            // Use client-provided session ID as a fallback if available
+            string clientSessionId = request.ClientSessionId;
+            if (!string.IsNullOrEmpty(clientSessionId))
+            {
+                _logger.LogInformation("Client provided session ID: {ClientSessionId}", clientSessionId);
+                
+                // Store the association between server session and client session
+                HttpContext.Session.SetString("ClientSessionId", clientSessionId);
+            }
+            
+            // Store session ID in a cookie so we can verify if it's changing between requests
+            HttpContext.Response.Cookies.Append("LastSessionId", sessionId, new CookieOptions { HttpOnly = false, IsEssential = true });
+            
+            // Check if there's a cookie with previous session ID to see if it changed
+            if (HttpContext.Request.Cookies.TryGetValue("LastSessionId", out var lastSessionId))
+            {
+                if (lastSessionId != sessionId)
+                {
+                    _logger.LogError("SESSION CHANGED! Previous session: {PreviousSession}, Current session: {CurrentSession}", 
+                        lastSessionId, sessionId);
+                }
+                else
+                {
+                    _logger.LogInformation("Session ID consistent with previous request: {SessionId}", sessionId);
+                }
+            }
+            
+            // Ensure session is active and persisted
+            if (!HttpContext.Session.IsAvailable)
+            {
+                _logger.LogWarning("Session is not available. Creating a new session.");
+                HttpContext.Session.SetString("SessionCheck", "Active"); // Force session creation
+                sessionId = HttpContext.Session.Id;
+                _logger.LogInformation("Created new session with ID: {SessionId}", sessionId);
+            }
+            
+            return sessionId;
+        }
+
+        /// <summary>
+        /// Loads the stored documents for this session when the client asks to keep document context,
+        /// otherwise clears any stored document
+        /// </summary>
+        /// <returns>The documents merged into a single context, or null when there are none, and the documents themselves</returns>
+        private (DocumentInfo? DocumentInfo, List<DocumentInfo> Documents) ResolveDocumentContext(ChatRequest request, string sessionId)
+        {
+            DocumentInfo documentInfo = null;
+            var documents = new List<DocumentInfo>();
+            
+            // If the client wants to maintain document context, get it from our persistence service
+            if (request.MaintainDocumentContext)
+            {
+                _logger.LogInformation("Maintaining document context as requested for session: {SessionId}", sessionId);
+                
+                // Each conversation has its own client session ID, so look the documents up by that ID only;
+                // the server session is shared by every conversation in the browser and would leak documents between them
+                if (!string.IsNullOrEmpty(request.ClientSessionId))
+                {
+                    _logger.LogInformation("Looking up {DocumentCount} documents by client session ID: {ClientSessionId}",
+                        request.DocumentIds?.Count ?? 0, request.ClientSessionId);
+                    documents = _documentPersistenceService.GetDocuments(request.ClientSessionId, request.DocumentIds);
+                }
+                else
+                {
+                    // Older clients don't send a client session ID, so fall back to the server session
+                    documents = _documentPersistenceService.GetDocuments(sessionId, null);
+                }
+                
+                if (documents.Count > 0)
+                {
+                    documentInfo = _documentContextService.CombineDocuments(documents);
+                    
+                    _logger.LogInformation("SUCCESS: Retrieved {DocumentCount} documents from persistence service: {FileName} with {ChunkCount} chunks for session {SessionId}",
+                        documents.Count, documentInfo.FileName, documentInfo.Chunks?.Count ?? 0, sessionId);
+                    
+                    // Add detailed logging about the document chunks
+                    if (documentInfo.Chunks == null || documentInfo.Chunks.Count == 0)
+                    {
+                        _logger.LogWarning("Document exists but has NO CHUNKS. This is likely an error. Session: {SessionId}", sessionId);
+                    }
+                    else
+                    {
+                        // Log some sample chunk content for debugging
+                        _logger.LogInformation("First chunk sample for session {SessionId}: {Sample}", 
+                            sessionId,
+                            documentInfo.Chunks[0].Length > 50 ? documentInfo.Chunks[0].Substring(0, 50) + "..." : documentInfo.Chunks[0]);
+                            
+                        // Log number of chunks with metadata
+                        _logger.LogInformation("Document has {ChunkCount} chunks and {MetadataCount} metadata entries",
+                            documentInfo.Chunks.Count,
+                            documentInfo.ChunkMetadata?.Count ?? 0);
+                            
+                        // Specifically look for page 42 in chunks
+                        bool foundPage42 = false;
+                        foreach (var chunk in documentInfo.Chunks)
+                        {
+                            if (chunk.Contains("PAGE 42 OF") || chunk.Contains("DOCUMENT PAGE 42 of"))
+                            {
+                                foundPage42 = true;
+                                _logger.LogInformation("Found PAGE 42 in document chunks: {Preview}", 
+                                    chunk.Length > 100 ? chunk.Substring(0, 100) + "..." : chunk);
+                                break;
+                            }
+                        }
+                        
+                        if (!foundPage42)
+                        {
+                            _logger.LogWarning("Could not find PAGE 42 in any document chunks");
+                        }
+                    }
+                }
+                else
+                {
+                    _logger.LogWarning("No document found in persistence service for session {SessionId}", sessionId);
+                }
+            }
+            else
+            {
+                // If we're not maintaining document context, clear it from persistence
+                _logger.LogInformation("Not maintaining document context, clearing any existing context");
+                _documentPersistenceService.ClearDocument(string.IsNullOrEmpty(request.ClientSessionId) ? sessionId : request.ClientSessionId);
+            }
+            
+            return (documentInfo, documents);
+        }
+
+        /// <summary>
+        /// Describes the documents used for a response so the client can tell which ones the server still has
+        /// </summary>
+        private static List<object> DescribeDocuments(List<DocumentInfo> documents)
+        {
+            return documents
+                .Select(document => (object)new {
+                    id = document.Id,
+                    fileName = document.FileName,
+                    chunkCount = document.Chunks?.Count ?? 0
+                })
+                .ToList();
+        }
+
         /// <summary>
         /// Legacy fallback endpoint for backwards compatibility with old frontend code
         /// Redirects requests to the DocumentChatController
@@ -56,6 +56,23 @@ namespace Backend.Controllers
             }
         }
         
+        [HttpGet("capabilities")]
+        public IActionResult GetCapabilities()
+        {
+            var retryAttemptsSetting = _configuration["Chat:RetryMaxAttempts"] ?? _configuration["Chat__RetryMaxAttempts"];
+            var chatRetryMaxAttempts = int.TryParse(retryAttemptsSetting, out var configuredAttempts) ? configuredAttempts : 3;
+            
+            // Lets the frontend use the endpoints this server has, instead of trying one and falling back to another
+            return Ok(new
+            {
+                documentChat = true,   // /api/document-chat/with-file and /api/document-chat/upload
+                chunkedUploads = true, // /api/document-chat/uploads
+                streaming = true,      // /api/chat/stream
+                // How many times a chat request that fails with a transient error is tried; 1 means never retried
+                chatRetryMaxAttempts = Math.Max(1, chatRetryMaxAttempts)
+            });
+        }
+        
         [HttpGet("test-openai")]
         [Authorize] // Add authorization back for sensitive endpoints
         public async Task<IActionResult> TestOpenAI()
@@ -152,6 +169,11 @@ namespace Backend.Controllers
                 var clientId = _configuration["EntraId:ClientId"] ?? _configuration["EntraId__ClientId"];
                 var audience = _configuration["EntraId:Audience"] ?? _configuration["EntraId__Audience"];
                 var scopes = _configuration["EntraId:Scopes"] ?? _configuration["EntraId__Scopes"];
+                var interactionMode = _configuration["EntraId:InteractionMode"] ?? _configuration["EntraId__InteractionMode"];
+                var idleTimeoutSetting = _configuration["EntraId:IdleTimeoutMinutes"] ?? _configuration["EntraId__IdleTimeoutMinutes"];
+                var idleWarningSetting = _configuration["EntraId:IdleWarningSeconds"] ?? _configuration["EntraId__IdleWarningSeconds"];
+                var idleTimeoutMinutes = int.TryParse(idleTimeoutSetting, out var configuredTimeout) ? configuredTimeout : 0;
+                var idleWarningSeconds = int.TryParse(idleWarningSetting, out var configuredWarning) ? configuredWarning : 60;
                 
                 // Also try environment variables as fallback
                 tenantId = tenantId ?? Environment.GetEnvironmentVariable("ENTRA_ID_TENANT_ID");
@@ -182,7 +204,12 @@ namespace Backend.Controllers
                 {
                     ClientId = clientId,
                     Authority = $"https://login.microsoftonline.com/{tenantId}",
-                    ApiScope = "https://graph.microsoft.com/User.Read"
+                    ApiScope = "https://graph.microsoft.com/User.Read",
+                    // Anything other than popup keeps the original redirect sign-in
+                    InteractionMode = string.Equals(interactionMode, "popup", StringComparison.OrdinalIgnoreCase) ? "popup" : "redirect",
+                    // Off unless a deployment sets it, since the sign-out deletes the user's local conversations
+                    IdleTimeoutMinutes = Math.Max(0, idleTimeoutMinutes),
+                    IdleWarningSeconds = Math.Max(0, idleWarningSeconds)
                 };
                 
                 // Log the scope being used for debugging
@@ -32,6 +32,10 @@ namespace Backend.Controllers
         private readonly Backend.Services.Interfaces.IDocumentContextService _documentContextService;
         private readonly Backend.Services.Interfaces.IChatAnalysisService _chatAnalysisService;
         private readonly Backend.Services.Interfaces.IPromptEngineeringService _promptEngineeringService;
+        private readonly Backend.Services.Interfaces.IChunkedUploadService _chunkedUploadService;
+        
+        // Same limit as the with-file endpoint, applied to chunked uploads as a whole
+        private const long MaxUploadSize = 52428800;
         
         public DocumentChatController(
             ILogger<DocumentChatController> logger,
@@ -45,7 +49,8 @@ namespace Backend.Controllers
             Backend.Services.Interfaces.IRequestDiagnosticsService requestDiagnosticsService,
             Backend.Services.Interfaces.IDocumentContextService documentContextService,
             Backend.Services.Interfaces.IChatAnalysisService chatAnalysisService,
-            Backend.Services.Interfaces.IPromptEngineeringService promptEngineeringService)
+            Backend.Services.Interfaces.IPromptEngineeringService promptEngineeringService,
+            Backend.Services.Interfaces.IChunkedUploadService chunkedUploadService)
         {
             _logger = logger;
             _configuration = configuration;
@@ -59,140 +64,253 @@ namespace Backend.Controllers
             _documentContextService = documentContextService;
             _chatAnalysisService = chatAnalysisService;
             _promptEngineeringService = promptEngineeringService;
+            _chunkedUploadService = chunkedUploadService;
         }
 
         [HttpPost("with-file")]
         [RequestSizeLimit(52428800)] // 50MB limit explicitly set for this endpoint
         [RequestFormLimits(MultipartBodyLengthLimit = 52428800)] // 50MB for multipart
-        public async Task<IActionResult> ChatWithFile(IFormFile file, [FromForm] string message, [FromForm] string? clientSessionId = null)
+        public async Task<IActionResult> ChatWithFile(IFormFile file, [FromForm] string message, [FromForm] string? clientSessionId = null, [FromForm] List<string>? documentIds = null)
         {
             // Log request details
             _requestDiagnosticsService.LogRequestDetails(HttpContext);
             
+            return await ProcessFileMessageAsync(file, message, clientSessionId, documentIds);
+        }
+        
+        [HttpPost("uploads")]
+        public IActionResult CreateUpload([FromBody] CreateUploadRequest request)
+        {
             try
             {
-                _logger.LogInformation("DocumentChatController.ChatWithFile called");
+                _logger.LogInformation("DocumentChatController.CreateUpload called for {FileName} ({FileSize} bytes)", request?.FileName, request?.FileSize);
                 
-                // Log detailed file information
-                _requestDiagnosticsService.LogFileDetails(file);
+                if (request == null || string.IsNullOrWhiteSpace(request.FileName))
+                {
+                    _logger.LogError("CreateUpload: No file name provided");
+                    return BadRequest("No file name provided");
+                }
                 
-                // Validate file
-                var (isValid, errorMessage) = await _fileValidationService.ValidateFileAsync(file);
-                if (!isValid)
+                if (!_fileValidationService.IsValidFileExtension(request.FileName))
                 {
-                    _logger.LogError("ChatWithFile: File validation failed: {ErrorMessage}", errorMessage);
-                    return BadRequest(errorMessage);
+                    var extension = Path.GetExtension(request.FileName).ToLowerInvariant();
+                    _logger.LogError("CreateUpload: Unsupported extension {Extension}", extension);
+                    return BadRequest($"Unsupported file format: {extension}. Please upload a PDF, Word, or Excel file.");
                 }
                 
-                // Validate message
-                if (string.IsNullOrEmpty(message))
+                if (request.FileSize <= 0)
                 {
-                    _logger.LogError("ChatWithFile: Message parameter is empty or null");
-                    return BadRequest("No message provided");
+                    _logger.LogError("CreateUpload: File is empty");
+                    return BadRequest("File is empty");
                 }
                 
-                // Extract search terms from the message to better prioritize relevant content
-                var searchTerms = _chatAnalysisService.ExtractSearchTerms(message);
-                var pageReferences = _chatAnalysisService.ExtractPageReferences(message);
+                if (request.FileSize > MaxUploadSize)
+                {
+                    _logger.LogError("CreateUpload: File size {FileSize} exceeds the limit", request.FileSize);
+                    return BadRequest("File is larger than the 50 MB limit");
+                }
                 
-                _logger.LogInformation("Extracted {Count} search terms and {PageCount} page references from message", 
-                    searchTerms.Count, pageReferences.Count);
+                var session = _chunkedUploadService.CreateSession(request.FileName, request.FileSize, request.ClientSessionId ?? "");
                 
-                // Extract text from the document
-                string documentText;
-                try
+                return Ok(new {
+                    uploadId = session.UploadId,
+                    chunkSize = _chunkedUploadService.ChunkSize,
+                    receivedBytes = session.ReceivedBytes
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error starting chunked upload");
+                return StatusCode(500, new { error = $"Error starting upload: {ex.Message}" });
+            }
+        }
+        
+        [HttpGet("uploads/{uploadId}")]
+        public IActionResult GetUpload(string uploadId)
+        {
+            var session = _chunkedUploadService.GetSession(uploadId);
+            if (session == null)
+            {
+                _logger.LogWarning("GetUpload: Upload {UploadId} not found", uploadId);
+                return NotFound(new { error = "Upload not found" });
+            }
+            
+            return Ok(new {
+                uploadId = session.UploadId,
+                fileName = session.FileName,
+                fileSize = session.FileSize,
+                receivedBytes = session.ReceivedBytes
+            });
+        }
+        
+        [HttpPut("uploads/{uploadId}")]
+        [RequestSizeLimit(8388608)] // Chunks are 4MB; leave room without accepting whole files here
+        public async Task<IActionResult> UploadChunk(string uploadId, [FromQuery] long offset)
+        {
+            try
+            {
+                var length = Request.ContentLength;
+                if (length == null)
                 {
-                    _logger.LogInformation("Extracting text from document: {FileName}", file.FileName);
-                    documentText = await _documentProcessingService.ExtractTextFromDocument(file);
-                    _logger.LogInformation("Successfully extracted {TextLength} characters from document", documentText.Length);
+                    _logger.LogError("UploadChunk: No Content-Length header for upload {UploadId}", uploadId);
+                    return StatusCode(411, new { error = "Content-Length header is required" });
                 }
-                catch (Exception ex)
+                
+                var (success, session, errorMessage) = await _chunkedUploadService.AppendChunkAsync(
+                    uploadId, offset, Request.Body, length.Value, HttpContext.RequestAborted);
+                
+                if (session == null)
                 {
-                    _logger.LogError(ex, "ChatWithFile: Error extracting text from document: {Message}", ex.Message);
-                    if (ex.InnerException != null) {
-                        _logger.LogError("Inner exception: {Message}", ex.InnerException.Message);
+                    _logger.LogWarning("UploadChunk: Upload {UploadId} not found", uploadId);
+                    return NotFound(new { error = errorMessage });
+                }
+                
+                if (!success)
+                {
+                    _logger.LogWarning("UploadChunk: Chunk at {Offset} rejected for upload {UploadId}: {ErrorMessage}", offset, uploadId, errorMessage);
+                    
+                    // The client resumes from receivedBytes when its offset is out of step with the server
+                    if (offset != session.ReceivedBytes)
+                    {
+                        return Conflict(new { error = errorMessage, receivedBytes = session.ReceivedBytes });
                     }
-                    return StatusCode(500, new { error = $"Unable to extract text from document: {ex.Message}" });
+                    return BadRequest(new { error = errorMessage, receivedBytes = session.ReceivedBytes });
                 }
                 
-                _logger.LogInformation("Extracted {TextLength} characters of text from document", documentText.Length);
+                return Ok(new {
+                    receivedBytes = session.ReceivedBytes,
+                    complete = session.IsComplete
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error receiving chunk at {Offset} for upload {UploadId}", offset, uploadId);
+                return StatusCode(500, new { error = $"Error receiving upload: {ex.Message}" });
+            }
+        }
+        
+        [HttpPost("upload")]
+        [RequestSizeLimit(52428800)] // 50MB limit explicitly set for this endpoint
+        [RequestFormLimits(MultipartBodyLengthLimit = 52428800)] // 50MB for multipart
+        public async Task<IActionResult> UploadDocument(IFormFile file, [FromForm] string? clientSessionId = null)
+        {
+            // Log request details
+            _requestDiagnosticsService.LogRequestDetails(HttpContext);
+            _logger.LogInformation("DocumentChatController.UploadDocument called");
+            
+            return await ProcessFileUploadAsync(file, clientSessionId);
+        }
+        
+        [HttpPost("uploads/{uploadId}/document")]
+        public async Task<IActionResult> UploadDocumentFromUpload(string uploadId, [FromForm] string? clientSessionId = null)
+        {
+            _logger.LogInformation("DocumentChatController.UploadDocumentFromUpload called for upload {UploadId}", uploadId);
+            
+            return await ProcessCompletedUploadAsync(uploadId, (file, uploadClientSessionId) =>
+                ProcessFileUploadAsync(file, !string.IsNullOrEmpty(clientSessionId) ? clientSessionId : uploadClientSessionId));
+        }
+        
+        [HttpPost("clear-context")]
+        public IActionResult ClearDocumentContext([FromQuery] string? clientSessionId = null, [FromQuery] List<string>? documentIds = null)
+        {
+            try
+            {
+                _logger.LogInformation("Clearing document context");
+                string sessionId = HttpContext.Session.Id;
+                _documentPersistenceService.ClearDocument(sessionId);
                 
-                // Process the document using our DocumentContextService
-                DocumentInfo documentInfo;
-                try
+                // Also clear with the conversation's client session ID, falling back to the last one seen in this session
+                string clientSessionIdToUse = !string.IsNullOrEmpty(clientSessionId)
+                    ? clientSessionId
+                    : HttpContext.Session.GetString("ClientSessionId");
+                if (!string.IsNullOrEmpty(clientSessionIdToUse))
                 {
-                    documentInfo = await _documentContextService.ProcessDocumentAsync(documentText, file.FileName, searchTerms, pageReferences);
+                    _logger.LogInformation("Also clearing document context for client session ID: {ClientSessionId}", clientSessionIdToUse);
+                    _documentPersistenceService.ClearDocument(clientSessionIdToUse);
                     
-                    if (documentInfo == null || documentInfo.Chunks == null || documentInfo.Chunks.Count == 0)
+                    // Conversations can hold several documents, each stored under its own ID
+                    foreach (var documentId in documentIds ?? new List<string>())
                     {
-                        _logger.LogError("ChatWithFile: Document processing failed");
-                        return BadRequest("Document processing failed");
+                        _documentPersistenceService.ClearDocument(clientSessionIdToUse, documentId);
                     }
                 }
-                catch (Exception chunkEx)
+                
+                return Ok(new { success = true, message = "Document context cleared" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error clearing document context");
+                return StatusCode(500, new { success = false, error = "Error clearing document context" });
+            }
+        }
+        
+        [HttpDelete("documents/{documentId}")]
+        public IActionResult RemoveDocument(string documentId, [FromQuery] string? clientSessionId = null)
+        {
+            try
+            {
+                if (string.IsNullOrEmpty(clientSessionId))
+                {
+                    _logger.LogError("RemoveDocument: No client session ID provided");
+                    return BadRequest("No client session ID provided");
+                }
+                
+                if (!Guid.TryParseExact(documentId, "N", out _))
                 {
-                    _logger.LogError(chunkEx, "ChatWithFile: Error during document chunking");
-                    return StatusCode(500, new { error = $"Error processing document: {chunkEx.Message}" });
+                    _logger.LogError("RemoveDocument: Invalid document ID {DocumentId}", documentId);
+                    return BadRequest("Invalid document ID");
                 }
                 
-                _logger.LogInformation("Semantic chunker created {Count} chunks with improved entity detection", documentInfo.Chunks.Count);
+                _logger.LogInformation("Removing document {DocumentId} for client session ID: {ClientSessionId}", documentId, clientSessionId);
+                _documentPersistenceService.ClearDocument(clientSessionId, documentId);
                 
-                // Log if we found ITA Group in the document
-                if (documentInfo.EntityIndex.ContainsKey("ITA Group"))
+                // Earlier versions also kept a copy under the server session, so remove that too
+                string sessionId = HttpContext.Session.Id;
+                var serverSessionDocument = _documentPersistenceService.GetDocument(sessionId);
+                if (serverSessionDocument != null && serverSessionDocument.Id == documentId)
                 {
-                    var itaChunks = documentInfo.EntityIndex["ITA Group"];
-                    _logger.LogInformation("Found ITA Group in {Count} chunks", itaChunks.Count);
-                    foreach (var chunkIndex in itaChunks.Take(3)) // Log up to 3 examples
-                    {
-                        _logger.LogInformation("ITA Group mention in chunk {Index}: {Preview}", 
-                            chunkIndex, 
-                            documentInfo.Chunks[chunkIndex].Length > 50 
-                                ? documentInfo.Chunks[chunkIndex].Substring(0, 50) + "..." 
-                                : documentInfo.Chunks[chunkIndex]);
-                    }
+                    _logger.LogInformation("Also removing document {DocumentId} stored with server session ID: {SessionId}", documentId, sessionId);
+                    _documentPersistenceService.ClearDocument(sessionId);
                 }
                 
-                // Get the server session ID
-                string sessionId = HttpContext.Session.Id;
-                _logger.LogInformation("Server session ID: {SessionId}", sessionId);
+                return Ok(new { success = true, message = "Document removed" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing document {DocumentId}", documentId);
+                return StatusCode(500, new { success = false, error = "Error removing document" });
+            }
+        }
+        
+        /// <summary>
+        /// Extracts, stores and answers a message about an uploaded file
+        /// </summary>
+        private async Task<IActionResult> ProcessFileMessageAsync(IFormFile file, string message, string? clientSessionId, List<string>? documentIds)
+        {
+            try
+            {
+                _logger.LogInformation("Processing uploaded file with message");
+                
+                // Validate message
+                if (string.IsNullOrEmpty(message))
+                {
+                    _logger.LogError("ChatWithFile: Message parameter is empty or null");
+                    return BadRequest("No message provided");
+                }
                 
                 // Handle client-provided session ID if any
-                string clientSessionIdToUse = clientSessionId;
+                string? clientSessionIdToUse = clientSessionId;
                 if (string.IsNullOrEmpty(clientSessionIdToUse))
                 {
                     // Try to get from session if not provided directly
                     clientSessionIdToUse = HttpContext.Session.GetString("ClientSessionId");
                 }
                 
-                // Store the document using persistence service with both session IDs
-                try
+                var (documentInfo, errorResult) = await IngestDocumentAsync(file, message, clientSessionIdToUse);
+                if (documentInfo == null)
                 {
-                    // Store with server session ID
-                    await _documentPersistenceService.StoreDocumentAsync(sessionId, documentInfo);
-                    _logger.LogInformation("Document saved with server session ID: {SessionId}", sessionId);
-                    
-                    // Also store with client session ID if available
-                    if (!string.IsNullOrEmpty(clientSessionIdToUse))
-                    {
-                        await _documentPersistenceService.StoreDocumentAsync(clientSessionIdToUse, documentInfo);
-                        _logger.LogInformation("Document also saved with client session ID: {ClientSessionId}", clientSessionIdToUse);
-                        
-                        // Remember this client session ID for future use
-                        HttpContext.Session.SetString("ClientSessionId", clientSessionIdToUse);
-                    }
-                    else
-                    {
-                        _logger.LogWarning("No client session ID provided - document only stored with server session ID");
-                    }
+                    return errorResult!;
                 }
-                catch (Exception ex)
-                {
-                    _logger.LogError(ex, "ChatWithFile: Error storing document: {Message}", ex.Message);
-                    // Continue despite storage error - we can still return the chat response
-                }
-                
-                _logger.LogInformation("Document saved to persistence service: {FileName} with {ChunkCount} chunks", 
-                    documentInfo.FileName, documentInfo.Chunks.Count);
                 
                 // Process the chat with the document
                 string response;
@@ -205,18 +323,17 @@ namespace Backend.Controllers
                     // Create system prompt using the PromptEngineeringService - this is now done internally by ProcessChatRequest
                     _logger.LogInformation("Using document context for chat request");
                     
+                    // Answer from the new document together with the ones already in the conversation
+                    var conversationDocuments = !string.IsNullOrEmpty(clientSessionIdToUse)
+                        ? _documentPersistenceService.GetDocuments(clientSessionIdToUse, documentIds)
+                        : new List<DocumentInfo>();
+                    conversationDocuments.RemoveAll(document => document.Id == documentInfo.Id);
+                    conversationDocuments.Add(documentInfo);
+                    _logger.LogInformation("Answering from {DocumentCount} documents", conversationDocuments.Count);
+                    
                     // Process the chat request with document context
                     // The systemPrompt parameter has been removed as it's now handled internally by the ChatService
-                    // Ensure documentInfo is not null (even though it should never be at this point)
-                    if (documentInfo != null)
-                    {
-                        response = await _chatService.ProcessChatRequest(message, documentInfo);
-                    }
-                    else
-                    {
-                        _logger.LogWarning("DocumentInfo is unexpectedly null before chat processing");
-                        response = await _chatService.ProcessChatRequest(message);
-                    }
+                    response = await _chatService.ProcessChatRequest(message, _documentContextService.CombineDocuments(conversationDocuments));
                 }
                 catch (Exception chatEx)
                 {
@@ -228,10 +345,7 @@ namespace Backend.Controllers
                     response = response, 
                     documentStored = true,
                     documentInContext = true,
-                    documentInfo = new {
-                        fileName = documentInfo.FileName,
-                        chunkCount = documentInfo.Chunks.Count
-                    }
+                    documentInfo = DescribeUploadedDocument(documentInfo)
                 });
             }
             catch (Exception ex)
@@ -245,30 +359,213 @@ namespace Backend.Controllers
             }
         }
         
-        [HttpPost("clear-context")]
-        public IActionResult ClearDocumentContext()
+        /// <summary>
+        /// Stores an uploaded file as a document of the conversation without asking anything about it,
+        /// so later chat messages can use it through their document IDs
+        /// </summary>
+        private async Task<IActionResult> ProcessFileUploadAsync(IFormFile file, string? clientSessionId)
         {
             try
             {
-                _logger.LogInformation("Clearing document context");
-                string sessionId = HttpContext.Session.Id;
-                _documentPersistenceService.ClearDocument(sessionId);
+                _logger.LogInformation("Processing uploaded file without a message");
                 
-                // Also try to clear with client session ID if it exists
-                string clientSessionIdToUse = HttpContext.Session.GetString("ClientSessionId");
-                if (!string.IsNullOrEmpty(clientSessionIdToUse))
+                // Without a client session ID later messages would have no way to find the document
+                if (string.IsNullOrEmpty(clientSessionId))
                 {
-                    _logger.LogInformation("Also clearing document context for client session ID: {ClientSessionId}", clientSessionIdToUse);
-                    _documentPersistenceService.ClearDocument(clientSessionIdToUse);
+                    _logger.LogError("UploadDocument: No client session ID provided");
+                    return BadRequest("No client session ID provided");
                 }
                 
-                return Ok(new { success = true, message = "Document context cleared" });
+                var (documentInfo, errorResult) = await IngestDocumentAsync(file, null, clientSessionId);
+                if (documentInfo == null)
+                {
+                    return errorResult!;
+                }
+                
+                return Ok(new {
+                    documentStored = true,
+                    documentInfo = DescribeUploadedDocument(documentInfo)
+                });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error clearing document context");
-                return StatusCode(500, new { success = false, error = "Error clearing document context" });
+                _logger.LogError(ex, "Error processing file {FileName}: {ErrorMessage}", file?.FileName ?? "unknown", ex.Message);
+                return StatusCode(500, new { error = $"Error processing file: {ex.Message}" });
+            }
+        }
+        
+        /// <summary>
+        /// Validates, extracts, chunks and stores an uploaded file
+        /// </summary>
+        /// <param name="file">Uploaded file</param>
+        /// <param name="message">Message sent with the file, used to prioritize relevant content; null for uploads without one</param>
+        /// <param name="clientSessionId">Client session ID of the conversation the document belongs to</param>
+        /// <returns>The stored document, or the error result to return if the file couldn't be processed</returns>
+        private async Task<(DocumentInfo? DocumentInfo, IActionResult? ErrorResult)> IngestDocumentAsync(IFormFile file, string? message, string? clientSessionId)
+        {
+            // Log detailed file information
+            _requestDiagnosticsService.LogFileDetails(file);
+            
+            // Validate file
+            var (isValid, errorMessage) = await _fileValidationService.ValidateFileAsync(file);
+            if (!isValid)
+            {
+                _logger.LogError("IngestDocument: File validation failed: {ErrorMessage}", errorMessage);
+                return (null, BadRequest(errorMessage));
+            }
+            
+            // Extract search terms from the message to better prioritize relevant content
+            List<string>? searchTerms = null;
+            List<int>? pageReferences = null;
+            if (!string.IsNullOrEmpty(message))
+            {
+                searchTerms = _chatAnalysisService.ExtractSearchTerms(message);
+                pageReferences = _chatAnalysisService.ExtractPageReferences(message);
+                
+                _logger.LogInformation("Extracted {Count} search terms and {PageCount} page references from message", 
+                    searchTerms.Count, pageReferences.Count);
+            }
+            
+            // Extract text from the document
+            string documentText;
+            try
+            {
+                _logger.LogInformation("Extracting text from document: {FileName}", file.FileName);
+                documentText = await _documentProcessingService.ExtractTextFromDocument(file);
+                _logger.LogInformation("Successfully extracted {TextLength} characters from document", documentText.Length);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "IngestDocument: Error extracting text from document: {Message}", ex.Message);
+                if (ex.InnerException != null) {
+                    _logger.LogError("Inner exception: {Message}", ex.InnerException.Message);
+                }
+                return (null, StatusCode(500, new { error = $"Unable to extract text from document: {ex.Message}" }));
             }
+            
+            // Process the document using our DocumentContextService
+            DocumentInfo documentInfo;
+            try
+            {
+                documentInfo = await _documentContextService.ProcessDocumentAsync(documentText, file.FileName, searchTerms, pageReferences);
+                
+                if (documentInfo == null || documentInfo.Chunks == null || documentInfo.Chunks.Count == 0)
+                {
+                    _logger.LogError("IngestDocument: Document processing failed");
+                    return (null, BadRequest("Document processing failed"));
+                }
+            }
+            catch (Exception chunkEx)
+            {
+                _logger.LogError(chunkEx, "IngestDocument: Error during document chunking");
+                return (null, StatusCode(500, new { error = $"Error processing document: {chunkEx.Message}" }));
+            }
+            
+            _logger.LogInformation("Semantic chunker created {Count} chunks with improved entity detection", documentInfo.Chunks.Count);
+            
+            // Identify the document so it can be kept alongside the conversation's other documents
+            documentInfo.Id = Guid.NewGuid().ToString("N");
+            documentInfo.FileSize = file.Length;
+            documentInfo.UploadTime = DateTime.UtcNow;
+            
+            // Log if we found ITA Group in the document
+            if (documentInfo.EntityIndex.ContainsKey("ITA Group"))
+            {
+                var itaChunks = documentInfo.EntityIndex["ITA Group"];
+                _logger.LogInformation("Found ITA Group in {Count} chunks", itaChunks.Count);
+                foreach (var chunkIndex in itaChunks.Take(3)) // Log up to 3 examples
+                {
+                    _logger.LogInformation("ITA Group mention in chunk {Index}: {Preview}", 
+                        chunkIndex, 
+                        documentInfo.Chunks[chunkIndex].Length > 50 
+                            ? documentInfo.Chunks[chunkIndex].Substring(0, 50) + "..." 
+                            : documentInfo.Chunks[chunkIndex]);
+                }
+            }
+            
+            // Store the document under the conversation's client session ID, next to its other documents.
+            // Only clients that send none get a copy under the server session, which is shared by every
+            // conversation in the browser and so must not keep documents the user can remove
+            try
+            {
+                if (!string.IsNullOrEmpty(clientSessionId))
+                {
+                    await _documentPersistenceService.StoreDocumentAsync(clientSessionId, documentInfo.Id, documentInfo);
+                    _logger.LogInformation("Document {DocumentId} saved with client session ID: {ClientSessionId}", documentInfo.Id, clientSessionId);
+                    
+                    // Remember this client session ID for future use
+                    HttpContext.Session.SetString("ClientSessionId", clientSessionId);
+                }
+                else
+                {
+                    string sessionId = HttpContext.Session.Id;
+                    await _documentPersistenceService.StoreDocumentAsync(sessionId, documentInfo);
+                    _logger.LogWarning("No client session ID provided - document only stored with server session ID: {SessionId}", sessionId);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "IngestDocument: Error storing document: {Message}", ex.Message);
+                // Continue despite storage error - a message sent with the file can still be answered
+            }
+            
+            _logger.LogInformation("Document saved to persistence service: {FileName} with {ChunkCount} chunks", 
+                documentInfo.FileName, documentInfo.Chunks.Count);
+            
+            return (documentInfo, null);
+        }
+        
+        /// <summary>
+        /// Runs an action on a completed chunked upload as if its file had arrived in a multipart request,
+        /// then removes the upload if the action succeeded
+        /// </summary>
+        private async Task<IActionResult> ProcessCompletedUploadAsync(string uploadId, Func<IFormFile, string, Task<IActionResult>> processFile)
+        {
+            var session = _chunkedUploadService.GetSession(uploadId);
+            if (session == null)
+            {
+                _logger.LogWarning("Upload {UploadId} not found", uploadId);
+                return NotFound(new { error = "Upload not found" });
+            }
+            
+            if (!session.IsComplete)
+            {
+                _logger.LogWarning("Upload {UploadId} has {ReceivedBytes} of {FileSize} bytes", uploadId, session.ReceivedBytes, session.FileSize);
+                return Conflict(new { error = "Upload is not complete", receivedBytes = session.ReceivedBytes });
+            }
+            
+            IActionResult result;
+            using (var stream = _chunkedUploadService.OpenCompletedFile(uploadId))
+            {
+                // Present the assembled file the same way a multipart upload would arrive
+                var file = new FormFile(stream, 0, stream.Length, "file", session.FileName)
+                {
+                    Headers = new HeaderDictionary(),
+                    ContentType = "application/octet-stream"
+                };
+                
+                result = await processFile(file, session.ClientSessionId);
+            }
+            
+            // Keep the upload if processing failed, so trying again doesn't mean uploading again
+            if (result is OkObjectResult)
+            {
+                _chunkedUploadService.DeleteSession(uploadId);
+            }
+            
+            return result;
+        }
+        
+        // Details of a newly stored document returned to the client
+        private static object DescribeUploadedDocument(DocumentInfo documentInfo)
+        {
+            return new {
+                id = documentInfo.Id,
+                fileName = documentInfo.FileName,
+                fileSize = documentInfo.FileSize,
+                uploadTime = documentInfo.UploadTime,
+                chunkCount = documentInfo.Chunks.Count
+            };
         }
     }
 }
@@ -21,5 +21,20 @@ namespace Backend.Models
         /// API scope for access tokens
         /// </summary>
         public string ApiScope { get; set; }
+        
+        /// <summary>
+        /// How the SPA asks the user to sign in or renew a token: "redirect" or "popup"
+        /// </summary>
+        public string InteractionMode { get; set; }
+        
+        /// <summary>
+        /// Minutes without activity before the SPA signs the user out; 0 turns the timeout off
+        /// </summary>
+        public int IdleTimeoutMinutes { get; set; }
+        
+        /// <summary>
+        /// Seconds of warning, with a countdown, before the idle sign-out
+        /// </summary>
+        public int IdleWarningSeconds { get; set; }
     }
 }
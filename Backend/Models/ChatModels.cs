@@ -14,6 +14,9 @@ namespace Backend.Models
         [JsonPropertyName("clientSessionId")]
         public string ClientSessionId { get; set; } = "";
         
+        [JsonPropertyName("documentIds")]
+        public List<string> DocumentIds { get; set; } = new List<string>();
+        
         [JsonPropertyName("conversationHistory")]
         public List<ChatHistoryMessage> ConversationHistory { get; set; } = new List<ChatHistoryMessage>();
     }
@@ -28,6 +31,9 @@ namespace Backend.Models
         
         [JsonPropertyName("documentInfo")]
         public object DocumentInfo { get; set; }
+        
+        [JsonPropertyName("documents")]
+        public List<object> Documents { get; set; } = new List<object>();
     }
     
     // DocumentInfo class is already defined in DocumentInfo.cs
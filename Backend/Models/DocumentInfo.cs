@@ -5,7 +5,11 @@ namespace Backend.Models
 {
     public class DocumentInfo
     {
+        // Identifies the document within its conversation; empty for documents stored before
+        // conversations could hold more than one
+        public string Id { get; set; } = "";
         public string FileName { get; set; } = "";
+        public long FileSize { get; set; }
         public List<string> Chunks { get; set; } = new List<string>();
         public List<ChunkMetadata> ChunkMetadata { get; set; } = new List<ChunkMetadata>();
         public int TotalLength { get; set; }
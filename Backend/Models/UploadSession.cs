@@ -0,0 +1,24 @@
+using System;
+
+namespace Backend.Models
+{
+    // A document being uploaded in chunks, so an interrupted upload can continue where it stopped
+    public class UploadSession
+    {
+        public string UploadId { get; set; } = "";
+        public string FileName { get; set; } = "";
+        public long FileSize { get; set; }
+        public long ReceivedBytes { get; set; }
+        public string ClientSessionId { get; set; } = "";
+        public DateTime CreatedAt { get; set; }
+        
+        public bool IsComplete => ReceivedBytes == FileSize;
+    }
+    
+    public class CreateUploadRequest
+    {
+        public string FileName { get; set; } = "";
+        public long FileSize { get; set; }
+        public string? ClientSessionId { get; set; }
+    }
+}
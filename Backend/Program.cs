@@ -47,6 +47,7 @@ builder.Services.AddSession(options =>
 // Register core services
 builder.Services.AddTransient<Backend.Services.Interfaces.IChatService, Backend.Services.ChatService>();
 builder.Services.AddSingleton<Backend.Services.Interfaces.IDocumentPersistenceService, Backend.Services.DocumentPersistenceService>();
+builder.Services.AddSingleton<Backend.Services.Interfaces.IChunkedUploadService, Backend.Services.ChunkedUploadService>();
 
 // Register controllers for DI resolution
 builder.Services.AddScoped<Backend.Controllers.DocumentChatController>();
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Runtime.CompilerServices;
 using System.Threading.Tasks;
 using Microsoft.Extensions.Logging;
 using Backend.Models;
@@ -300,6 +301,12 @@ namespace Backend.Services
                 _logger.LogWarning("No valid response received from OpenAI API");
                 return "I'm sorry, but I couldn't generate a response. Please try again later.";
             }
+            catch (RequestFailedException ex) when (ex.Status == 429 || ex.Status == 503)
+            {
+                // The caller reports the status so the client can wait and retry
+                _logger.LogWarning(ex, "AI service unavailable ({Status}) while processing chat request", ex.Status);
+                throw;
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error processing chat request");
@@ -328,62 +335,7 @@ namespace Backend.Services
                 _logger.LogInformation("Processing chat request with conversation history: {HistoryCount} messages, Document: {HasDocument}", 
                     conversationHistory?.Count ?? 0, documentInfo != null);
                 
-                // Get deployment name from configuration
-                var deploymentName = _openAIConfig.DeploymentName ?? "gpt-35-turbo";
-                
-                // Setup chat completion options
-                var chatCompletionsOptions = new ChatCompletionsOptions
-                {
-                    DeploymentName = deploymentName,
-                    Temperature = 0.5f,
-                    MaxTokens = 4000,
-                };
-                
-                // Prepare document context if available
-                string documentContext = null;
-                string systemPrompt = null;
-                if (documentInfo != null)
-                {
-                    _logger.LogInformation("Processing chat with document context. Document: {FileName}", documentInfo.FileName);
-                    
-                    // Use the DocumentContextService to prepare document context
-                    documentContext = _documentContextService.PrepareDocumentContext(documentInfo, message);
-                    _logger.LogInformation("Document context prepared: {Length} chars", documentContext?.Length ?? 0);
-                    
-                    // Generate system prompt for document context
-                    systemPrompt = _promptEngineeringService.CreateSystemPrompt(documentInfo, documentContext);
-                }
-                
-                // Use the provided system prompt if available, otherwise create one
-                if (systemPrompt == null)
-                {
-                    _logger.LogInformation("No custom system prompt provided, generating one with PromptEngineeringService");
-                    systemPrompt = _promptEngineeringService.CreateSystemPrompt(documentInfo, documentContext);
-                }
-                
-                // Add system message
-                chatCompletionsOptions.Messages.Add(new ChatRequestSystemMessage(systemPrompt));
-                
-                // Add conversation history
-                if (conversationHistory != null && conversationHistory.Count > 0)
-                {
-                    _logger.LogInformation("Adding {HistoryCount} messages from conversation history", conversationHistory.Count);
-                    
-                    foreach (var historyMessage in conversationHistory)
-                    {
-                        if (historyMessage.Role.ToLower() == "user")
-                        {
-                            chatCompletionsOptions.Messages.Add(new ChatRequestUserMessage(historyMessage.Content));
-                        }
-                        else if (historyMessage.Role.ToLower() == "assistant")
-                        {
-                            chatCompletionsOptions.Messages.Add(new ChatRequestAssistantMessage(historyMessage.Content));
-                        }
-                    }
-                }
-                
-                // Add current user message
-                chatCompletionsOptions.Messages.Add(new ChatRequestUserMessage(message));
+                var chatCompletionsOptions = BuildChatCompletionsOptions(message, conversationHistory, documentInfo);
                 
                 // Call OpenAI API with retry logic
                 Response<ChatCompletions> response = null;
@@ -428,64 +380,213 @@ namespace Backend.Services
                     _logger.LogInformation("Received response from OpenAI API: {Length} chars", responseText?.Length ?? 0);
                     
                     // Save conversation to Azure Function if service is available
-                    if (_azureFunctionService != null)
+                    QueueConversationSave(message, responseText);
+                    
+                    return responseText;
+                }
+                
+                _logger.LogWarning("No valid response received from OpenAI API");
+                return "I'm sorry, but I couldn't generate a response. Please try again later.";
+            }
+            catch (RequestFailedException ex) when (ex.Status == 429 || ex.Status == 503)
+            {
+                // The caller reports the status so the client can wait and retry
+                _logger.LogWarning(ex, "AI service unavailable ({Status}) while processing chat request with history", ex.Status);
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error processing chat request with history");
+                return "I'm sorry, an error occurred while processing your request. Please try again later.";
+            }
+        }
+
+        /// <summary>
+        /// Stream a chat response with conversation history and optional document context
+        /// </summary>
+        /// <param name="message">The current message from the user</param>
+        /// <param name="conversationHistory">Previous conversation messages</param>
+        /// <param name="documentInfo">Optional document context information</param>
+        /// <param name="cancellationToken">Cancelled when the client disconnects</param>
+        /// <returns>Incremental pieces of the AI response text</returns>
+        public async IAsyncEnumerable<string> StreamChatRequestWithHistory(
+            string message, 
+            List<ChatHistoryMessage> conversationHistory, 
+            DocumentInfo? documentInfo = null,
+            [EnumeratorCancellation] CancellationToken cancellationToken = default)
+        {
+            if (_openAIClient == null)
+            {
+                _logger.LogWarning("OpenAI client is not available. Check Azure OpenAI configuration.");
+                yield return "I'm sorry, but the AI service is not currently available. Please check your Azure OpenAI configuration and try again later.";
+                yield break;
+            }
+            
+            _logger.LogInformation("Streaming chat request with conversation history: {HistoryCount} messages, Document: {HasDocument}", 
+                conversationHistory?.Count ?? 0, documentInfo != null);
+            
+            var chatCompletionsOptions = BuildChatCompletionsOptions(message, conversationHistory, documentInfo);
+            
+            // Open the stream with the same retry policy as the non-streaming calls.
+            // Retries are only possible before the first token has been sent to the client.
+            StreamingResponse<StreamingChatCompletionsUpdate> streamingResponse = null;
+            int retryCount = 0;
+            int retryDelay = InitialRetryDelayMs;
+            
+            while (streamingResponse == null)
+            {
+                try
+                {
+                    _logger.LogInformation("Opening streaming chat request to OpenAI API (attempt {Attempt}) with {MessageCount} messages", 
+                        retryCount + 1, chatCompletionsOptions.Messages.Count);
+                    streamingResponse = await _openAIClient.GetChatCompletionsStreamingAsync(chatCompletionsOptions, cancellationToken);
+                }
+                catch (RequestFailedException ex) when (ex.Status == 429 && retryCount < MaxRetries) // Too Many Requests
+                {
+                    retryCount++;
+                    _logger.LogWarning("Rate limit exceeded (429). Retrying in {Delay}ms. Attempt {Attempt} of {MaxRetries}", 
+                        retryDelay, retryCount, MaxRetries);
+                    
+                    await Task.Delay(retryDelay, cancellationToken);
+                    retryDelay *= 2; // Exponential backoff
+                }
+            }
+            
+            var responseText = new System.Text.StringBuilder();
+            using (streamingResponse)
+            {
+                await foreach (StreamingChatCompletionsUpdate update in streamingResponse.WithCancellation(cancellationToken))
+                {
+                    if (string.IsNullOrEmpty(update.ContentUpdate))
+                    {
+                        continue;
+                    }
+                    
+                    responseText.Append(update.ContentUpdate);
+                    yield return update.ContentUpdate;
+                }
+            }
+            
+            _logger.LogInformation("Finished streaming response from OpenAI API: {Length} chars", responseText.Length);
+            QueueConversationSave(message, responseText.ToString());
+        }
+
+        /// <summary>
+        /// Build the completion options for a message, its conversation history and optional document context
+        /// </summary>
+        private ChatCompletionsOptions BuildChatCompletionsOptions(string message, List<ChatHistoryMessage> conversationHistory, DocumentInfo? documentInfo)
+        {
+            // Get deployment name from configuration
+            var deploymentName = _openAIConfig.DeploymentName ?? "gpt-35-turbo";
+            
+            // Setup chat completion options
+            var chatCompletionsOptions = new ChatCompletionsOptions
+            {
+                DeploymentName = deploymentName,
+                Temperature = 0.5f,
+                MaxTokens = 4000,
+            };
+            
+            // Prepare document context if available
+            string documentContext = null;
+            string systemPrompt = null;
+            if (documentInfo != null)
+            {
+                _logger.LogInformation("Processing chat with document context. Document: {FileName}", documentInfo.FileName);
+                
+                // Use the DocumentContextService to prepare document context
+                documentContext = _documentContextService.PrepareDocumentContext(documentInfo, message);
+                _logger.LogInformation("Document context prepared: {Length} chars", documentContext?.Length ?? 0);
+                
+                // Generate system prompt for document context
+                systemPrompt = _promptEngineeringService.CreateSystemPrompt(documentInfo, documentContext);
+            }
+            
+            // Use the provided system prompt if available, otherwise create one
+            if (systemPrompt == null)
+            {
+                _logger.LogInformation("No custom system prompt provided, generating one with PromptEngineeringService");
+                systemPrompt = _promptEngineeringService.CreateSystemPrompt(documentInfo, documentContext);
+            }
+            
+            // Add system message
+            chatCompletionsOptions.Messages.Add(new ChatRequestSystemMessage(systemPrompt));
+            
+            // Add conversation history
+            if (conversationHistory != null && conversationHistory.Count > 0)
+            {
+                _logger.LogInformation("Adding {HistoryCount} messages from conversation history", conversationHistory.Count);
+                
+                foreach (var historyMessage in conversationHistory)
+                {
+                    if (historyMessage.Role.ToLower() == "user")
+                    {
+                        chatCompletionsOptions.Messages.Add(new ChatRequestUserMessage(historyMessage.Content));
+                    }
+                    else if (historyMessage.Role.ToLower() == "assistant")
+                    {
+                        chatCompletionsOptions.Messages.Add(new ChatRequestAssistantMessage(historyMessage.Content));
+                    }
+                }
+            }
+            
+            // Add current user message
+            chatCompletionsOptions.Messages.Add(new ChatRequestUserMessage(message));
+            
+            return chatCompletionsOptions;
+        }
+
+        /// <summary>
+        /// Save a completed exchange to the Azure Function without blocking the response
+        /// </summary>
+        private void QueueConversationSave(string message, string responseText)
+        {
+            if (_azureFunctionService != null)
+            {
+                try
+                {
+                    // Fire and forget - don't wait for this to complete
+                    var saveTask = Task.Run(async () =>
                     {
                         try
                         {
-                            // Fire and forget - don't wait for this to complete
-                            var saveTask = Task.Run(async () =>
+                            var saveId = Guid.NewGuid().ToString().Substring(0, 8);
+                            _logger.LogWarning("AZURE_FUNCTION_SAVE_START [{SaveId}]: Starting conversation save", saveId);
+                            
+                            using (var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30)))
                             {
                                 try
                                 {
-                                    var saveId = Guid.NewGuid().ToString().Substring(0, 8);
-                                    _logger.LogWarning("AZURE_FUNCTION_SAVE_START [{SaveId}]: Starting conversation save", saveId);
-                                    
-                                    using (var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30)))
-                                    {
-                                        try
-                                        {
-                                            await _azureFunctionService.SaveConversationAsync(message, responseText)
-                                                .WaitAsync(cts.Token)
-                                                .ConfigureAwait(false);
-                                                
-                                            _logger.LogWarning("AZURE_FUNCTION_SAVE_SUCCESS [{SaveId}]: Successfully saved conversation", saveId);
-                                        }
-                                        catch (TaskCanceledException)
-                                        {
-                                            _logger.LogError("AZURE_FUNCTION_SAVE_TIMEOUT [{SaveId}]: Azure Function call timed out after 30 seconds", saveId);
-                                        }
-                                        catch (Exception innerEx)
-                                        {
-                                            _logger.LogError(innerEx, "AZURE_FUNCTION_SAVE_ERROR [{SaveId}]: Inner exception: {Type}, Message: {Message}", 
-                                                saveId, innerEx.GetType().Name, innerEx.Message);
-                                        }
-                                    }
+                                    await _azureFunctionService.SaveConversationAsync(message, responseText)
+                                        .WaitAsync(cts.Token)
+                                        .ConfigureAwait(false);
+                                        
+                                    _logger.LogWarning("AZURE_FUNCTION_SAVE_SUCCESS [{SaveId}]: Successfully saved conversation", saveId);
                                 }
-                                catch (Exception outerEx)
+                                catch (TaskCanceledException)
                                 {
-                                    _logger.LogError(outerEx, "Failed to save conversation to Azure Function: {Message}", outerEx.Message);
+                                    _logger.LogError("AZURE_FUNCTION_SAVE_TIMEOUT [{SaveId}]: Azure Function call timed out after 30 seconds", saveId);
                                 }
-                            });
-                            
-                            _ = saveTask;
+                                catch (Exception innerEx)
+                                {
+                                    _logger.LogError(innerEx, "AZURE_FUNCTION_SAVE_ERROR [{SaveId}]: Inner exception: {Type}, Message: {Message}", 
+                                        saveId, innerEx.GetType().Name, innerEx.Message);
+                                }
+                            }
                         }
-                        catch (Exception ex)
+                        catch (Exception outerEx)
                         {
-                            _logger.LogError(ex, "Error initiating conversation save to Azure Function: {Message}, Type: {Type}", 
-                                ex.Message, ex.GetType().Name);
+                            _logger.LogError(outerEx, "Failed to save conversation to Azure Function: {Message}", outerEx.Message);
                         }
-                    }
+                    });
                     
-                    return responseText;
+                    _ = saveTask;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error initiating conversation save to Azure Function: {Message}, Type: {Type}", 
+                        ex.Message, ex.GetType().Name);
                 }
-                
-                _logger.LogWarning("No valid response received from OpenAI API");
-                return "I'm sorry, but I couldn't generate a response. Please try again later.";
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error processing chat request with history");
-                return "I'm sorry, an error occurred while processing your request. Please try again later.";
             }
         }
 
@@ -0,0 +1,212 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using Backend.Models;
+using Backend.Services.Interfaces;
+
+namespace Backend.Services
+{
+    /// <summary>
+    /// Service that assembles documents uploaded in chunks.
+    /// Each upload keeps its details in a JSON file and its bytes in a part file, so the received
+    /// length always comes from disk and uploads survive application restarts.
+    /// </summary>
+    public class ChunkedUploadService : Interfaces.IChunkedUploadService
+    {
+        // Uploads abandoned for longer than this are removed when a new one starts
+        private static readonly TimeSpan UploadExpiry = TimeSpan.FromHours(24);
+        
+        // One lock per upload so two requests can't append to the same file at once
+        private static readonly ConcurrentDictionary<string, SemaphoreSlim> _uploadLocks = new();
+        
+        private readonly ILogger<ChunkedUploadService> _logger;
+        private readonly string _uploadPath;
+        
+        public ChunkedUploadService(ILogger<ChunkedUploadService> logger, IWebHostEnvironment env)
+        {
+            _logger = logger;
+            _uploadPath = Path.Combine(env.ContentRootPath, "App_Data", "Uploads");
+            
+            // Ensure the directory exists
+            if (!Directory.Exists(_uploadPath))
+            {
+                Directory.CreateDirectory(_uploadPath);
+            }
+        }
+        
+        /// <inheritdoc />
+        public int ChunkSize => 4 * 1024 * 1024; // 4 MB, well under the request size limit
+        
+        /// <inheritdoc />
+        public UploadSession CreateSession(string fileName, long fileSize, string clientSessionId)
+        {
+            RemoveExpiredUploads();
+            
+            var session = new UploadSession
+            {
+                UploadId = Guid.NewGuid().ToString("N"),
+                // Only keep the name itself; the client could send a path
+                FileName = Path.GetFileName(fileName),
+                FileSize = fileSize,
+                ClientSessionId = clientSessionId ?? "",
+                CreatedAt = DateTime.UtcNow
+            };
+            
+            File.WriteAllText(GetSessionFilePath(session.UploadId), JsonSerializer.Serialize(session));
+            File.WriteAllBytes(GetPartFilePath(session.UploadId), Array.Empty<byte>());
+            
+            _logger.LogInformation("Started chunked upload {UploadId} for {FileName} ({FileSize} bytes)",
+                session.UploadId, session.FileName, session.FileSize);
+            return session;
+        }
+        
+        /// <inheritdoc />
+        public UploadSession? GetSession(string uploadId)
+        {
+            if (!IsValidUploadId(uploadId))
+            {
+                return null;
+            }
+            
+            var sessionFilePath = GetSessionFilePath(uploadId);
+            var partFilePath = GetPartFilePath(uploadId);
+            if (!File.Exists(sessionFilePath) || !File.Exists(partFilePath))
+            {
+                return null;
+            }
+            
+            try
+            {
+                var session = JsonSerializer.Deserialize<UploadSession>(File.ReadAllText(sessionFilePath));
+                if (session == null)
+                {
+                    return null;
+                }
+                
+                session.ReceivedBytes = new FileInfo(partFilePath).Length;
+                return session;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading chunked upload {UploadId}", uploadId);
+                return null;
+            }
+        }
+        
+        /// <inheritdoc />
+        public async Task<(bool Success, UploadSession? Session, string ErrorMessage)> AppendChunkAsync(
+            string uploadId, long offset, Stream content, long length, CancellationToken cancellationToken)
+        {
+            if (!IsValidUploadId(uploadId))
+            {
+                return (false, null, "Upload not found");
+            }
+            
+            var uploadLock = _uploadLocks.GetOrAdd(uploadId, _ => new SemaphoreSlim(1, 1));
+            await uploadLock.WaitAsync(cancellationToken);
+            try
+            {
+                var session = GetSession(uploadId);
+                if (session == null)
+                {
+                    return (false, null, "Upload not found");
+                }
+                
+                // A chunk that doesn't continue from the received bytes was sent after a lost response;
+                // the client resumes from the returned position instead
+                if (offset != session.ReceivedBytes)
+                {
+                    return (false, session, $"Expected a chunk starting at byte {session.ReceivedBytes}");
+                }
+                
+                if (length <= 0 || offset + length > session.FileSize)
+                {
+                    return (false, session, "Chunk does not fit within the file size given when the upload started");
+                }
+                
+                using (var partStream = new FileStream(GetPartFilePath(uploadId), FileMode.Append, FileAccess.Write))
+                {
+                    try
+                    {
+                        await content.CopyToAsync(partStream, cancellationToken);
+                    }
+                    catch (Exception)
+                    {
+                        // Drop a partly written chunk so the upload can continue from the last whole one
+                        partStream.SetLength(offset);
+                        throw;
+                    }
+                    
+                    if (partStream.Length != offset + length)
+                    {
+                        partStream.SetLength(offset);
+                        return (false, session, "Chunk length did not match the Content-Length header");
+                    }
+                }
+                
+                session.ReceivedBytes = offset + length;
+                _logger.LogInformation("Chunked upload {UploadId}: received {ReceivedBytes} of {FileSize} bytes",
+                    uploadId, session.ReceivedBytes, session.FileSize);
+                return (true, session, string.Empty);
+            }
+            finally
+            {
+                uploadLock.Release();
+            }
+        }
+        
+        /// <inheritdoc />
+        public Stream OpenCompletedFile(string uploadId)
+        {
+            return new FileStream(GetPartFilePath(uploadId), FileMode.Open, FileAccess.Read, FileShare.Read);
+        }
+        
+        /// <inheritdoc />
+        public void DeleteSession(string uploadId)
+        {
+            if (!IsValidUploadId(uploadId))
+            {
+                return;
+            }
+            
+            try
+            {
+                File.Delete(GetSessionFilePath(uploadId));
+                File.Delete(GetPartFilePath(uploadId));
+                _uploadLocks.TryRemove(uploadId, out _);
+                _logger.LogInformation("Removed chunked upload {UploadId}", uploadId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing chunked upload {UploadId}", uploadId);
+            }
+        }
+        
+        /// <summary>
+        /// Removes uploads that were started long ago and never completed
+        /// </summary>
+        private void RemoveExpiredUploads()
+        {
+            try
+            {
+                foreach (var sessionFilePath in Directory.GetFiles(_uploadPath, "*.json"))
+                {
+                    if (DateTime.UtcNow - File.GetLastWriteTimeUtc(GetPartFilePath(Path.GetFileNameWithoutExtension(sessionFilePath))) > UploadExpiry)
+                    {
+                        DeleteSession(Path.GetFileNameWithoutExtension(sessionFilePath));
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing expired chunked uploads");
+            }
+        }
+        
+        // Upload IDs come from the client and end up in file names, so only GUIDs are accepted
+        private static bool IsValidUploadId(string uploadId) => Guid.TryParseExact(uploadId, "N", out _);
+        
+        private string GetSessionFilePath(string uploadId) => Path.Combine(_uploadPath, $"{uploadId}.json");
+        
+        private string GetPartFilePath(string uploadId) => Path.Combine(_uploadPath, $"{uploadId}.part");
+    }
+}
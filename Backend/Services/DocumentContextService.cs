@@ -444,5 +444,55 @@ namespace Backend.Services
             
             return documentInfo;
         }
+        
+        /// <summary>
+        /// Merge several documents into one so they can be used as a single document context.
+        /// Each chunk is labelled with the file it came from so answers can say which document they cite.
+        /// </summary>
+        public DocumentInfo CombineDocuments(IReadOnlyList<DocumentInfo> documents)
+        {
+            if (documents.Count == 1)
+            {
+                return documents[0];
+            }
+            
+            var combined = new DocumentInfo
+            {
+                FileName = string.Join(", ", documents.Select(document => document.FileName)),
+                UploadTime = documents.Max(document => document.UploadTime)
+            };
+            
+            foreach (var document in documents)
+            {
+                // Entity positions are chunk indexes, so shift them past the chunks already added
+                int chunkOffset = combined.Chunks.Count;
+                
+                for (int i = 0; i < document.Chunks.Count; i++)
+                {
+                    combined.Chunks.Add($"[Document: {document.FileName}]\n{document.Chunks[i]}");
+                    combined.ChunkMetadata.Add(i < document.ChunkMetadata?.Count && document.ChunkMetadata[i] != null
+                        ? document.ChunkMetadata[i]
+                        : new ChunkMetadata { ChunkIndex = i });
+                }
+                
+                if (document.EntityIndex != null)
+                {
+                    foreach (var entity in document.EntityIndex)
+                    {
+                        if (!combined.EntityIndex.TryGetValue(entity.Key, out var chunkIndexes))
+                        {
+                            chunkIndexes = new List<int>();
+                            combined.EntityIndex[entity.Key] = chunkIndexes;
+                        }
+                        chunkIndexes.AddRange(entity.Value.Select(chunkIndex => chunkIndex + chunkOffset));
+                    }
+                }
+                
+                combined.TotalLength += document.TotalLength;
+            }
+            
+            _logger.LogInformation("Combined {DocumentCount} documents into {ChunkCount} chunks", documents.Count, combined.Chunks.Count);
+            return combined;
+        }
     }
 }
@@ -358,8 +358,67 @@ namespace Backend.Services
             }
         }
         
+        /// <summary>
+        /// Removes one of several documents kept for a specific session
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentId">ID of the document within the session</param>
+        public void ClearDocument(string sessionId, string documentId)
+        {
+            var documentKey = GetDocumentKey(sessionId, documentId);
+            if (documentKey != null)
+            {
+                ClearDocument(documentKey);
+            }
+        }
+        
+        /// <summary>
+        /// Retrieves the given documents for a specific session, along with the single document
+        /// stored under the session ID itself before sessions could hold more than one
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentIds">IDs of the documents within the session</param>
+        /// <returns>The documents that were found, in the order requested</returns>
+        public List<DocumentInfo> GetDocuments(string sessionId, IEnumerable<string>? documentIds)
+        {
+            var documents = new List<DocumentInfo>();
+            
+            var sessionDocument = GetDocument(sessionId);
+            if (sessionDocument != null)
+            {
+                documents.Add(sessionDocument);
+            }
+            
+            foreach (var documentId in (documentIds ?? Enumerable.Empty<string>()).Distinct())
+            {
+                var documentKey = GetDocumentKey(sessionId, documentId);
+                var document = documentKey != null ? GetDocument(documentKey) : null;
+                if (document != null)
+                {
+                    documents.Add(document);
+                }
+            }
+            
+            return documents;
+        }
+        
         private string GetDocumentFilePath(string sessionId) => 
             Path.Combine(_persistencePath, $"{sessionId}.json");
+        
+        /// <summary>
+        /// Builds the key a session's document is stored under, or returns null for an invalid ID.
+        /// Document IDs come from the client and end up in a file name, so only GUIDs are accepted.
+        /// </summary>
+        private string? GetDocumentKey(string sessionId, string documentId)
+        {
+            if (string.IsNullOrEmpty(sessionId) || !Guid.TryParseExact(documentId, "N", out _))
+            {
+                _logger.LogWarning("Ignoring invalid document ID {DocumentId} for session {SessionId}", documentId, sessionId);
+                return null;
+            }
+            
+            return $"{sessionId}_{documentId}";
+        }
             
         /// <summary>
         /// Stores a document for a specific session asynchronously
@@ -374,6 +433,22 @@ namespace Backend.Services
             await Task.Run(() => StoreDocument(sessionId, document));
         }
         
+        /// <summary>
+        /// Stores one of several documents kept for a specific session asynchronously
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentId">ID of the document within the session</param>
+        /// <param name="document">Document to store</param>
+        /// <returns>Task representing the asynchronous operation</returns>
+        public async Task StoreDocumentAsync(string sessionId, string documentId, DocumentInfo document)
+        {
+            var documentKey = GetDocumentKey(sessionId, documentId);
+            if (documentKey != null)
+            {
+                await StoreDocumentAsync(documentKey, document);
+            }
+        }
+        
         /// <summary>
         /// Retrieves a document for a specific session asynchronously
         /// </summary>
@@ -1,4 +1,5 @@
 using System.Collections.Generic;
+using System.Threading;
 using System.Threading.Tasks;
 using Backend.Models;
 
@@ -15,6 +16,7 @@ namespace Backend.Services.Interfaces
         /// <param name="message">User message</param>
         /// <param name="documentInfo">Optional document context</param>
         /// <returns>Response from chat service</returns>
+        /// <exception cref="Azure.RequestFailedException">The AI service is busy (429) or unavailable (503)</exception>
         Task<string> ProcessChatRequest(string message, DocumentInfo? documentInfo = null);
         
         /// <summary>
@@ -24,8 +26,23 @@ namespace Backend.Services.Interfaces
         /// <param name="conversationHistory">Previous conversation messages</param>
         /// <param name="documentInfo">Optional document context</param>
         /// <returns>Response from chat service</returns>
+        /// <exception cref="Azure.RequestFailedException">The AI service is busy (429) or unavailable (503)</exception>
         Task<string> ProcessChatRequestWithHistory(string message, List<ChatHistoryMessage> conversationHistory, DocumentInfo? documentInfo = null);
         
+        /// <summary>
+        /// Stream a chat response with conversation history and optional document context
+        /// </summary>
+        /// <param name="message">User message</param>
+        /// <param name="conversationHistory">Previous conversation messages</param>
+        /// <param name="documentInfo">Optional document context</param>
+        /// <param name="cancellationToken">Token that stops the stream when the client disconnects</param>
+        /// <returns>Incremental pieces of the response as they are generated</returns>
+        IAsyncEnumerable<string> StreamChatRequestWithHistory(
+            string message, 
+            List<ChatHistoryMessage> conversationHistory, 
+            DocumentInfo? documentInfo = null, 
+            CancellationToken cancellationToken = default);
+        
         /// <summary>
         /// Process a chat request with a newly uploaded document
         /// </summary>
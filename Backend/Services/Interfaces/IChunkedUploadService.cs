@@ -0,0 +1,59 @@
+using Backend.Models;
+using System.IO;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace Backend.Services.Interfaces
+{
+    /// <summary>
+    /// Interface for services that assemble documents uploaded in chunks
+    /// </summary>
+    public interface IChunkedUploadService
+    {
+        /// <summary>
+        /// Size of the chunks clients should send
+        /// </summary>
+        int ChunkSize { get; }
+        
+        /// <summary>
+        /// Starts a new chunked upload
+        /// </summary>
+        /// <param name="fileName">Name of the file being uploaded</param>
+        /// <param name="fileSize">Total size of the file in bytes</param>
+        /// <param name="clientSessionId">Client session ID of the conversation the file is for</param>
+        /// <returns>The new upload session</returns>
+        UploadSession CreateSession(string fileName, long fileSize, string clientSessionId);
+        
+        /// <summary>
+        /// Retrieves an upload session with the number of bytes received so far
+        /// </summary>
+        /// <param name="uploadId">Upload ID</param>
+        /// <returns>Upload session if found, null otherwise</returns>
+        UploadSession? GetSession(string uploadId);
+        
+        /// <summary>
+        /// Appends a chunk to an upload, provided it starts where the received bytes end
+        /// </summary>
+        /// <param name="uploadId">Upload ID</param>
+        /// <param name="offset">Position of the chunk within the file</param>
+        /// <param name="content">Chunk content</param>
+        /// <param name="length">Chunk length in bytes</param>
+        /// <param name="cancellationToken">Cancelled when the client disconnects</param>
+        /// <returns>Whether the chunk was appended, the upload session after the attempt, and an error message if any</returns>
+        Task<(bool Success, UploadSession? Session, string ErrorMessage)> AppendChunkAsync(
+            string uploadId, long offset, Stream content, long length, CancellationToken cancellationToken);
+        
+        /// <summary>
+        /// Opens the assembled file of a completed upload for reading
+        /// </summary>
+        /// <param name="uploadId">Upload ID</param>
+        /// <returns>Stream over the uploaded file</returns>
+        Stream OpenCompletedFile(string uploadId);
+        
+        /// <summary>
+        /// Removes an upload and its received bytes
+        /// </summary>
+        /// <param name="uploadId">Upload ID</param>
+        void DeleteSession(string uploadId);
+    }
+}
@@ -19,5 +19,10 @@ namespace Backend.Services.Interfaces
         /// Process a document, create chunks and prepare document info with metadata
         /// </summary>
         Task<DocumentInfo> ProcessDocumentAsync(string documentText, string fileName, List<string>? searchTerms = null, List<int>? pageReferences = null);
+        
+        /// <summary>
+        /// Merge several documents into one so they can be used as a single document context
+        /// </summary>
+        DocumentInfo CombineDocuments(IReadOnlyList<DocumentInfo> documents);
     }
 }
@@ -1,4 +1,5 @@
 using Backend.Models;
+using System.Collections.Generic;
 using System.Threading.Tasks;
 
 namespace Backend.Services.Interfaces
@@ -23,6 +24,15 @@ namespace Backend.Services.Interfaces
         /// <returns>Task representing the asynchronous operation</returns>
         Task StoreDocumentAsync(string sessionId, DocumentInfo document);
         
+        /// <summary>
+        /// Stores one of several documents kept for a specific session asynchronously
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentId">ID of the document within the session</param>
+        /// <param name="document">Document to store</param>
+        /// <returns>Task representing the asynchronous operation</returns>
+        Task StoreDocumentAsync(string sessionId, string documentId, DocumentInfo document);
+        
         /// <summary>
         /// Retrieves a document for a specific session
         /// </summary>
@@ -37,10 +47,26 @@ namespace Backend.Services.Interfaces
         /// <returns>Document if found, null otherwise</returns>
         Task<DocumentInfo?> GetDocumentAsync(string sessionId);
         
+        /// <summary>
+        /// Retrieves the given documents for a specific session, along with the single document
+        /// stored under the session ID itself before sessions could hold more than one
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentIds">IDs of the documents within the session</param>
+        /// <returns>The documents that were found, in the order requested</returns>
+        List<DocumentInfo> GetDocuments(string sessionId, IEnumerable<string>? documentIds);
+        
         /// <summary>
         /// Removes a document for a specific session
         /// </summary>
         /// <param name="sessionId">Session ID</param>
         void ClearDocument(string sessionId);
+        
+        /// <summary>
+        /// Removes one of several documents kept for a specific session
+        /// </summary>
+        /// <param name="sessionId">Session ID</param>
+        /// <param name="documentId">ID of the document within the session</param>
+        void ClearDocument(string sessionId, string documentId);
     }
 }
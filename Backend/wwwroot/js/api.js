@@ -2,68 +2,60 @@
  * API communication functions for the chat application
  */
 
-// Track if we have an active document in context
-// Use localStorage to persist between page refreshes
-let documentInContext = localStorage.getItem('documentInContext') === 'true' || false;
-let lastDocumentName = localStorage.getItem('lastDocumentName') || null;
-
-// Track conversation history to maintain context
-let conversationHistory = [];
+// Import UI functions
+import { updateDocumentStatusIndicator, renderDocumentPanel } from './ui.js';
+import { 
+    getActiveConversation, 
+    getConversation, 
+    updateConversation, 
+    createTitleFromMessage 
+} from './conversations.js';
+import { 
+    CHUNKED_UPLOAD_THRESHOLD, 
+    uploadWithProgress, 
+    uploadInChunks, 
+    forgetChunkedUpload 
+} from './upload.js';
+import { 
+    ServerError, 
+    createErrorFromStatus, 
+    createErrorFromResponse, 
+    toNetworkError 
+} from './errors.js';
+import { 
+    DEFAULT_RETRY_OPTIONS, 
+    getRetryDelay, 
+    waitForRetry, 
+    withRetry 
+} from './retry.js';
+import { authenticatedFetch } from './auth-fetch.js';
 
-// Load conversation history from localStorage if available
-try {
-    const savedHistory = localStorage.getItem('conversationHistory');
-    if (savedHistory) {
-        conversationHistory = JSON.parse(savedHistory);
-        console.log(`Loaded ${conversationHistory.length} messages from conversation history`);
-    }
-} catch (error) {
-    console.warn('Failed to load conversation history from localStorage:', error);
-    conversationHistory = [];
-}
+// Most recent messages sent to the model as context; the stored transcript is kept in full
+const MAX_CONTEXT_MESSAGES = 20;
 
-// Generate a persistent client ID that won't change between page refreshes
-let clientSessionId = localStorage.getItem('clientSessionId');
-if (!clientSessionId) {
-    // Create a unique identifier for this browser session
-    clientSessionId = 'client-' + Date.now() + '-' + Math.random().toString(36).substring(2, 15);
-    localStorage.setItem('clientSessionId', clientSessionId);
-}
+// What a server without the capabilities endpoint offers: it predates all of these
+const LEGACY_CAPABILITIES = {
+    documentChat: false,
+    chunkedUploads: false,
+    streaming: false,
+    chatRetryMaxAttempts: null // The retry policy's default
+};
 
-// Log the initial document context state
-console.log(`Initial document context state: ${documentInContext ? 'ACTIVE' : 'INACTIVE'} (from localStorage)`);
-console.log(`Last document name: ${lastDocumentName || 'None'}`);
-console.log(`Client session ID: ${clientSessionId}`);
+// The server's capabilities, requested once and shared by every call
+let capabilitiesRequest = null;
 
-// Import UI functions
-import { updateDocumentStatusIndicator } from './ui.js';
-
-/**
- * Helper function to get authentication headers for API calls
- */
-async function getAuthHeaders() {
-    // Skip authentication for chat endpoints since they no longer require it
-    console.log('Proceeding without authentication headers for chat API');
-    return {
-        'Content-Type': 'application/json'
-    };
-}
-
-/**
- * Helper function to get authentication headers for file upload (multipart/form-data)
- */
-async function getAuthHeadersForFileUpload() {
-    // Skip authentication for chat endpoints since they no longer require it
-    console.log('Proceeding without authentication headers for file upload');
-    return {};
-}
+// A document kept for servers that only read one sent together with a question, as { conversationId, file }
+// It goes with the next message in its conversation
+let waitingDocument = null;
 
 // Ensure UI is updated to match the current document context state
 function updateUIDocumentState() {
+    const { documents } = getActiveConversation();
+    
     // Update clear document button if it exists
     const clearDocumentButton = document.getElementById('clearDocumentButton');
     if (clearDocumentButton) {
-        if (documentInContext) {
+        if (documents.length > 0) {
             clearDocumentButton.classList.add('active');
             clearDocumentButton.setAttribute('title', 'Clear Document Context (Active)');
         } else {
@@ -72,59 +64,287 @@ function updateUIDocumentState() {
         }
     }
     
-    // Update document status indicator
-    updateDocumentStatusIndicator(documentInContext ? lastDocumentName : null);
+    // Update document status indicator and the list of documents
+    updateDocumentStatusIndicator(documents);
+    renderDocumentPanel(documents);
+}
+
+// Helper function to get the IDs the server stores a conversation's documents under
+// The document kept from before conversations could hold several has no ID and is found by the client session ID
+function getDocumentIds(conversation) {
+    return conversation.documents.filter(doc => doc.id).map(doc => doc.id);
+}
+
+
+// Function to find out which endpoints the server offers
+// The answer is cached, so each feature uses the one endpoint that exists instead of trying one after another
+async function getServerCapabilities() {
+    if (!capabilitiesRequest) {
+        capabilitiesRequest = authenticatedFetch('/api/config/capabilities', {
+            credentials: 'same-origin',
+            cache: 'no-cache'
+        }).then(async response => {
+            if (response.status === 404) {
+                console.warn('Server has no capabilities endpoint, using legacy endpoints');
+                return LEGACY_CAPABILITIES;
+            }
+            if (!response.ok) {
+                throw await createErrorFromResponse(response);
+            }
+            
+            const capabilities = { ...LEGACY_CAPABILITIES, ...await response.json() };
+            console.log('Server capabilities:', capabilities);
+            return capabilities;
+        }).catch(error => {
+            // Ask again next time rather than caching a failure
+            capabilitiesRequest = null;
+            throw error;
+        });
+    }
+    
+    return capabilitiesRequest;
 }
 
+// Helper function to get the retry options for a chat request
+// The number of attempts comes from the server's Chat:RetryMaxAttempts setting unless retry sets it
+async function getChatRetryOptions(retry) {
+    try {
+        const { chatRetryMaxAttempts } = await getServerCapabilities();
+        if (Number(chatRetryMaxAttempts) >= 1) {
+            return { maxAttempts: Math.floor(chatRetryMaxAttempts), ...retry };
+        }
+    } catch (error) {
+        // The request itself will report the problem, so use the policy's default
+        console.warn('Could not get the chat retry setting:', error);
+    }
+    return retry;
+}
 
 // Function to call the chat API
-async function callChatAPI(message) {
-    // Double-check localStorage before making the request
-    documentInContext = localStorage.getItem('documentInContext') === 'true' || false;
+// Pass an AbortSignal in options to allow the request to be cancelled
+// Transient failures are retried as often as the server's Chat:RetryMaxAttempts setting allows;
+// pass retry to override the policy's options (such as maxAttempts) and onRetry to be told before each new attempt
+// The message goes to the active conversation unless another is passed as conversation
+async function callChatAPI(message, { conversation = getActiveConversation(), signal, retry, onRetry } = {}) {
+    // A document waiting for this message is sent with it instead
+    if (waitingDocument && waitingDocument.conversationId === conversation.id) {
+        return callChatWithFileAPI(message, waitingDocument.file, { conversation, signal });
+    }
+    
+    // The conversation is captured now so switching mid-request can't misfile the reply
+    const sentAt = new Date().toISOString();
+    retry = await getChatRetryOptions(retry);
+    const { sessionId: clientSessionId } = conversation;
+    const documentInContext = conversation.documents.length > 0;
+    const conversationHistory = conversation.history.slice(-MAX_CONTEXT_MESSAGES);
+    
+    console.log(`Sending chat request with ${conversation.documents.length} document(s) in context`);
+    
+    const response = await withRetry(async () => {
+        // Ensure we always set the session cookie
+        const response = await authenticatedFetch('/api/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin', // Important for session cookies
+            signal,
+            body: JSON.stringify({ 
+                message,
+                // Always maintain document context if we have a document
+                MaintainDocumentContext: documentInContext,  // FIXED: Capitalized to match C# property name
+                ClientSessionId: clientSessionId,  // Add our client-side session ID to help with persistence
+                DocumentIds: getDocumentIds(conversation),  // The documents the answer should draw on
+                ConversationHistory: conversationHistory  // Include conversation history for context
+            })
+        });
+        
+        if (!response.ok) {
+            console.error('Error in chat API call:', response.status, response.statusText);
+            throw await createErrorFromResponse(response);
+        }
+        
+        return response;
+    }, { ...retry, signal, onRetry });
+    
+    const data = await response.json();
+    
+    // Debug the entire response data
+    console.log('Chat API response data:', data);
+    
+    applyDocumentState(conversation, data);
+
+    // Save conversation history
+    if (data.response) {
+        recordExchange(conversation, message, data.response, sentAt);
+    }
     
-    console.log(`Sending chat request with documentInContext: ${documentInContext}`);
+    return data.response;
+}
+
+// Function to stream a chat response from the API
+// Yields the response text piece by piece as the server generates it
+// Aborting the signal in options stops the stream without recording the exchange
+// Transient failures before any text arrives are retried, with the same retry and onRetry options as callChatAPI;
+// once text has been shown the request isn't repeated
+// The message goes to the active conversation unless another is passed as conversation
+async function* streamChatAPI(message, { conversation = getActiveConversation(), signal, retry, onRetry } = {}) {
+    // The conversation is captured now so switching mid-request can't misfile the reply
+    const sentAt = new Date().toISOString();
+    retry = await getChatRetryOptions(retry);
+    const maxAttempts = retry?.maxAttempts ?? DEFAULT_RETRY_OPTIONS.maxAttempts;
     
-    // Get authentication headers
-    const headers = await getAuthHeaders();
+    for (let attempt = 1; ; attempt++) {
+        let receivedText = false;
+        try {
+            for await (const delta of streamChatResponse(conversation, message, sentAt, signal)) {
+                receivedText = true;
+                yield delta;
+            }
+            return;
+        } catch (error) {
+            const delay = receivedText ? null : getRetryDelay(error, attempt, retry);
+            if (delay === null) throw error;
+            
+            console.warn(`Streaming chat request failed (attempt ${attempt} of ${maxAttempts}), retrying in ${delay}ms:`, error);
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, maxAttempts, delay, error });
+            }
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+// Helper function to make one streaming chat request and yield its text as it arrives
+async function* streamChatResponse(conversation, message, sentAt, signal) {
+    const { sessionId: clientSessionId } = conversation;
+    const documentInContext = conversation.documents.length > 0;
+    const conversationHistory = conversation.history.slice(-MAX_CONTEXT_MESSAGES);
+    
+    console.log(`Sending streaming chat request with ${conversation.documents.length} document(s) in context`);
+    
+    // Servers without the streaming endpoint get the regular request instead
+    // It is tried once here, since streamChatAPI already retries
+    const { streaming } = await getServerCapabilities();
+    if (!streaming) {
+        console.log('Streaming endpoint not available, using /api/chat');
+        yield await callChatAPI(message, { conversation, signal, retry: { maxAttempts: 1 } });
+        return;
+    }
     
-    // Ensure we always set the session cookie
-    const response = await fetch('/api/chat', {
+    const response = await authenticatedFetch('/api/chat/stream', {
         method: 'POST',
-        headers: headers,
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
         credentials: 'same-origin', // Important for session cookies
+        signal,
         body: JSON.stringify({ 
             message,
-            // Always maintain document context if we have a document
-            MaintainDocumentContext: documentInContext,  // FIXED: Capitalized to match C# property name
-            ClientSessionId: clientSessionId,  // Add our client-side session ID to help with persistence
-            ConversationHistory: conversationHistory  // Include conversation history for context
+            MaintainDocumentContext: documentInContext,
+            ClientSessionId: clientSessionId,
+            DocumentIds: getDocumentIds(conversation),
+            ConversationHistory: conversationHistory
         })
     });
     
     if (!response.ok) {
-        console.error('Error in chat API call:', response.status, response.statusText);
-        throw new Error('Network response was not ok');
+        console.error('Error in streaming chat API call:', response.status, response.statusText);
+        throw await createErrorFromResponse(response);
     }
     
-    const data = await response.json();
+    if (!response.body) {
+        throw new ServerError('The server sent an empty response.', response.status);
+    }
     
-    // Debug the entire response data
-    console.log('Chat API response data:', data);
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let responseText = '';
+    
+    while (true) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (error) {
+            // The connection dropped partway through the response
+            throw toNetworkError(error);
+        }
+        const { value, done } = chunk;
+        
+        // Events are separated by a blank line; keep any partial event for the next read
+        // Once the stream ends, whatever is left is the last event, even without a blank line after it
+        if (!done) {
+            buffer += value;
+        }
+        const events = buffer.split('\n\n');
+        buffer = done ? '' : events.pop();
+        
+        for (const rawEvent of events) {
+            const { event, data } = parseServerSentEvent(rawEvent);
+            if (!data) continue;
+            
+            if (event === 'error') {
+                // Errors during generation arrive after the 200 status, so the event carries its own
+                throw createErrorFromStatus(data.status || 500, data.error || 'Error streaming chat response', data.retryAfter ?? null);
+            }
+            
+            if (event === 'done') {
+                applyDocumentState(conversation, data);
+                continue;
+            }
+            
+            if (data.delta) {
+                responseText += data.delta;
+                yield data.delta;
+            }
+        }
+        
+        if (done) break;
+    }
+    
+    console.log(`Streaming response complete: ${responseText.length} characters`);
     
-    // If the response includes information about document context, update our state
-    if (data.documentInContext !== undefined) {
-        documentInContext = data.documentInContext;
-        localStorage.setItem('documentInContext', documentInContext ? 'true' : 'false');
+    if (responseText) {
+        recordExchange(conversation, message, responseText, sentAt);
+    }
+}
+
+// Helper function to parse one Server-Sent Event block into its event name and JSON data
+function parseServerSentEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+    
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        }
+    });
+    
+    if (dataLines.length === 0) {
+        return { event, data: null };
+    }
+    
+    try {
+        return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+        console.warn('Ignoring malformed server-sent event:', rawEvent);
+        return { event, data: null };
+    }
+}
+
+// Helper function to update a conversation's document context state from a chat response
+function applyDocumentState(conversation, data) {
+    // The response lists the documents the server actually answered from;
+    // drop any the server no longer has so the panel doesn't promise context that isn't there
+    if (Array.isArray(data.documents) && conversation.documents.length > 0) {
+        const foundIds = new Set(data.documents.map(doc => doc.id || null));
+        const documents = conversation.documents.filter(doc => foundIds.has(doc.id));
         
-        // If we have document info, save the filename
-        if (data.documentInfo && data.documentInfo.fileName) {
-            lastDocumentName = data.documentInfo.fileName;
-            localStorage.setItem('lastDocumentName', lastDocumentName);
-            console.log(`Updated document name in context: ${lastDocumentName}`);
+        if (documents.length !== conversation.documents.length) {
+            console.warn(`Server no longer has ${conversation.documents.length - documents.length} document(s) - removing them from the conversation`);
+            updateConversation(conversation.id, { documents });
         }
     }
-    else {
-        console.warn('Response missing documentInContext flag - keeping current state', documentInContext);
+    else if (!Array.isArray(data.documents)) {
+        console.warn('Response missing documents list - keeping current state', conversation.documents);
     }
     
     // ALWAYS update the UI regardless of whether we got document context info back
@@ -132,178 +352,213 @@ async function callChatAPI(message) {
     updateUIDocumentState();
     
     // Debug current state after processing
-    console.log(`Current document state after API response: documentInContext=${documentInContext}, lastDocumentName=${lastDocumentName}`);
+    console.log(`Current document state after API response: ${conversation.documents.length} document(s) in context`);
+}
 
-    // Save conversation history
-    if (data.response) {
+// Helper function to add a completed exchange to a conversation's history
+// Each message keeps its timestamp so a reloaded transcript shows the original times
+function recordExchange(conversation, message, response, sentAt) {
+    const conversationHistory = [
+        ...conversation.history,
         // Add user message to history
-        conversationHistory.push({
-            role: 'user',
-            content: message
-        });
-        
+        { role: 'user', content: message, timestamp: sentAt },
         // Add assistant response to history
-        conversationHistory.push({
-            role: 'assistant',
-            content: data.response
-        });
-        
-        // Keep only the last 20 messages (10 exchanges) to prevent excessive memory usage
-        if (conversationHistory.length > 20) {
-            conversationHistory = conversationHistory.slice(-20);
-        }
-        
-        // Save to localStorage
-        try {
-            localStorage.setItem('conversationHistory', JSON.stringify(conversationHistory));
-            console.log(`Saved conversation history: ${conversationHistory.length} messages`);
-        } catch (error) {
-            console.warn('Failed to save conversation history to localStorage:', error);
-        }
+        { role: 'assistant', content: response, timestamp: new Date().toISOString() }
+    ];
+    
+    const changes = { history: conversationHistory };
+    
+    // Name untitled conversations after their first question
+    if (conversation.history.length === 0 && !conversation.renamed) {
+        changes.title = createTitleFromMessage(message);
     }
     
-    return data.response;
+    // Save the full transcript
+    updateConversation(conversation.id, changes);
+    console.log(`Saved conversation history: ${conversationHistory.length} messages`);
 }
 
-// Function to clear conversation history
+// Function to clear the active conversation's history
 function clearConversationHistory() {
-    conversationHistory = [];
-    localStorage.removeItem('conversationHistory');
+    updateConversation(getActiveConversation().id, { history: [] });
     console.log('Conversation history cleared');
 }
 
-// Function to call the chat with file API
-async function callChatWithFileAPI(message, file) {
+// Function to drop the active conversation's history from the given position onwards
+function truncateConversationHistory(historyIndex) {
+    const conversation = getActiveConversation();
+    updateConversation(conversation.id, { history: conversation.history.slice(0, historyIndex) });
+    console.log(`Conversation history truncated to ${historyIndex} messages`);
+}
+
+// Function to send a message together with the document waiting for it
+// Only used with servers that predate the document chat endpoints and read a document sent with a question,
+// so it goes to their /api/chat/with-file endpoint; the document stops waiting once the server has it
+async function callChatWithFileAPI(message, file, { conversation, signal }) {
+    const sentAt = new Date().toISOString();
+    const clientSessionId = conversation.sessionId;
+    
     // Create form data with file, message, and client session ID
     const formData = new FormData();
     formData.append('file', file);
     formData.append('message', message);
     formData.append('clientSessionId', clientSessionId);
     
-    console.log(`Sending file upload with clientSessionId: ${clientSessionId}`);
-    
     // Log detailed information about the request we're about to make
-    console.log(`Uploading file: Name=${file.name}, Type=${file.type}, Size=${file.size} bytes`);
-    console.log(`Message length: ${message.length} characters`);
+    console.log(`Sending file with message: Name=${file.name}, Type=${file.type}, Size=${file.size} bytes`);
     console.log(`Client session ID: ${clientSessionId}`);
     
-    // Try the new endpoint first (preferred)
-    try {
-        console.log('Attempting to use new endpoint: /api/document-chat/with-file');
-        
-        // Get authentication headers for file upload
-        const authHeaders = await getAuthHeadersForFileUpload();
-        
-        // Don't set Content-Type header explicitly - browser will set it correctly with boundary parameter for multipart/form-data
-        const response = await fetch('/api/document-chat/with-file', {
-            method: 'POST',
-            headers: authHeaders,
-            body: formData,
-            credentials: 'same-origin', // Ensure cookies are sent
-            cache: 'no-cache' // Prevent caching issues
-        });
-        
-        if (response.ok) {
-            console.log('Successfully used new endpoint');
-            const data = await response.json();
-            return handleDocumentResponse(data, file);
-        } else {
-            console.warn('New endpoint failed with status:', response.status);
-            try {
-                // Try to get detailed error information
-                const errorText = await response.text();
-                console.error('Error details from new endpoint:', errorText);
-            } catch (parseError) {
-                console.error('Could not parse error response from new endpoint');
-            }
-            // Let it fall through to the fallback
-        }
-    } catch (error) {
-        console.warn('Error using new endpoint:', error);
-        // Continue to fallback
+    // Don't set Content-Type header explicitly - browser will set it correctly with boundary parameter for multipart/form-data
+    const response = await uploadWithProgress('/api/chat/with-file', formData, file, { signal });
+    
+    if (!response.ok) {
+        console.error('/api/chat/with-file failed with status:', response.status);
+        throw await createErrorFromResponse(response);
     }
     
-    // Fallback to old endpoint if new one failed
-    try {
-        console.log('Falling back to legacy endpoint: /api/chat/with-file');
-        
-        // Create a fresh FormData object for the legacy endpoint
-        const legacyFormData = new FormData();
-        legacyFormData.append('file', file);
-        legacyFormData.append('message', message);
-        legacyFormData.append('clientSessionId', clientSessionId);
+    if (waitingDocument && waitingDocument.file === file) {
+        waitingDocument = null;
+    }
+    
+    const data = await response.json();
+    return handleDocumentResponse(conversation, message, data, file, sentAt);
+}
+
+// Helper function to check whether an error came from an aborted request
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+// Helper function to handle document response processing
+function handleDocumentResponse(conversation, message, data, file, sentAt) {
+    // Add the new document to the conversation's documents
+    if (data.documentStored && file) {
+        addDocumentToConversation(conversation, data.documentInfo, file);
+    }
+    
+    // Keep the exchange so follow-up questions have context
+    if (data.response) {
+        recordExchange(conversation, message, data.response, sentAt);
+    }
+    
+    // Update the UI
+    updateUIDocumentState();
+    
+    return data.response;
+}
+
+// Helper function to record a document the server has stored in the conversation's documents
+function addDocumentToConversation(conversation, documentInfo = {}, file) {
+    const newDocument = {
+        id: documentInfo.id || null,
+        name: documentInfo.fileName || file.name,
+        size: documentInfo.fileSize ?? file.size,
+        uploadedAt: documentInfo.uploadTime || new Date().toISOString()
+    };
+    
+    // Older servers don't return an ID and keep a single document, so a new one replaces it
+    const documents = conversation.documents.filter(doc => doc.id !== newDocument.id);
+    
+    // Persist this state with the conversation
+    updateConversation(conversation.id, { documents: [...documents, newDocument] });
+    console.log(`Added document to context: ${newDocument.name}`);
+    
+    return newDocument;
+}
+
+// Function to upload a document to the active conversation without sending a message
+// Later messages sent with callChatAPI or streamChatAPI include it through the conversation's document IDs
+// Pass an AbortSignal in options to allow the upload to be cancelled, and an onProgress callback
+// to receive { loaded, total, percent, bytesPerSecond, secondsRemaining } as the file is sent
+// Resolves with the stored document, or with one marked waiting when the server can only read it with the next message
+async function uploadDocument(file, { signal, onProgress } = {}) {
+    const conversation = getActiveConversation();
+    const clientSessionId = conversation.sessionId;
+    const capabilities = await getServerCapabilities();
+    
+    // Older servers only take documents together with a message, so keep it for the next one
+    if (!capabilities.documentChat) {
+        waitingDocument = { conversationId: conversation.id, file };
+        console.log(`Keeping ${file.name} to send with the next message`);
+        return { id: null, name: file.name, size: file.size, waiting: true };
+    }
+    
+    console.log(`Uploading document without a message: Name=${file.name}, Type=${file.type}, Size=${file.size} bytes`);
+    
+    let response;
+    if (capabilities.chunkedUploads && file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        // Large files are sent in chunks so an interrupted upload can be resumed
+        const uploadId = await uploadInChunks(file, clientSessionId, { signal, onProgress });
         
-        const legacyResponse = await fetch('/api/chat/with-file', {
+        const formData = new FormData();
+        formData.append('clientSessionId', clientSessionId);
+        response = await authenticatedFetch(`/api/document-chat/uploads/${uploadId}/document`, {
             method: 'POST',
-            body: legacyFormData,
+            body: formData,
             credentials: 'same-origin', // Ensure cookies are sent
-            cache: 'no-cache' // Prevent caching issues
+            cache: 'no-cache', // Prevent caching issues
+            signal
         });
         
-        console.log('Legacy endpoint response status:', legacyResponse.status);
-        
-        if (!legacyResponse.ok) {
-            console.error('Both endpoints failed. Legacy status:', legacyResponse.status);
-            
-            try {
-                // Try to get detailed error information
-                const errorText = await legacyResponse.text();
-                console.error('Error details from legacy endpoint:', errorText);
-                throw new Error(`Error processing file: ${errorText}`);
-            } catch (parseError) {
-                throw new Error('Error processing file - could not get detailed error message');
-            }
+        // Either the server now has the document or it no longer has the upload
+        if (response.ok || response.status === 404) {
+            forgetChunkedUpload(file, clientSessionId);
         }
-        
-        console.log('Successfully used legacy endpoint');
-        const data = await legacyResponse.json();
-        return handleDocumentResponse(data, file);
-    } catch (error) {
-        console.error('All endpoints failed:', error);
-        throw new Error('Error processing file with message');
+    } else {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('clientSessionId', clientSessionId);
+        response = await uploadWithProgress('/api/document-chat/upload', formData, file, {
+            signal,
+            onProgress
+        });
     }
-}
-
-// Helper function to handle document response processing
-function handleDocumentResponse(data, file) {
-    // Set flag indicating we now have a document in context
-    documentInContext = true;
-    // Persist this state in localStorage
-    localStorage.setItem('documentInContext', 'true');
     
-    // Store the document filename if available
-    if (data.documentStored && file) {
-        lastDocumentName = file.name;
-        localStorage.setItem('lastDocumentName', lastDocumentName);
-        console.log(`Saved document name to context: ${lastDocumentName}`);
+    if (!response.ok) {
+        throw await createErrorFromResponse(response);
     }
     
-    // Update the UI
+    const data = await response.json();
+    
+    // Add it to the conversation it was uploaded to, which may no longer be the active one
+    const newDocument = addDocumentToConversation(conversation, data.documentInfo, file);
     updateUIDocumentState();
     
-    return data.response;
+    return newDocument;
+}
+
+// Function to build the URL that clears all of a conversation's documents on the server
+function getClearContextUrl(conversation) {
+    const params = new URLSearchParams({ clientSessionId: conversation.sessionId });
+    getDocumentIds(conversation).forEach(documentId => params.append('documentIds', documentId));
+    return `/api/document-chat/clear-context?${params}`;
 }
 
 // Function to clear document context
-async function clearDocumentContext() {
-    const response = await fetch('/api/document-chat/clear-context', {
+// Defaults to the active conversation; pass another conversation to clear its server-side documents
+async function clearDocumentContext(conversation = getActiveConversation()) {
+    const response = await authenticatedFetch(getClearContextUrl(conversation), {
         method: 'POST',
         credentials: 'same-origin' // Important for session cookies
     });
     
     if (!response.ok) {
         console.error('Error clearing document context:', response.status, response.statusText);
-        throw new Error('Error clearing document context');
+        throw await createErrorFromResponse(response);
     }
     
-    // Reset document context flag and document name
-    documentInContext = false;
-    lastDocumentName = null;
-    localStorage.setItem('documentInContext', 'false');
-    localStorage.removeItem('lastDocumentName');
+    // A document still waiting for a message is dropped too
+    if (waitingDocument && waitingDocument.conversationId === conversation.id) {
+        waitingDocument = null;
+    }
     
-    // Clear conversation history when document context is cleared
-    clearConversationHistory();
+    // Forget the documents, and clear conversation history when document context is cleared
+    if (getConversation(conversation.id)) {
+        updateConversation(conversation.id, {
+            documents: [],
+            history: []
+        });
+    }
     
     // Update the UI to reflect no document in context
     updateUIDocumentState();
@@ -313,18 +568,49 @@ async function clearDocumentContext() {
     return data;
 }
 
-// Function to set document context state from outside this module
-function setDocumentContext(active) {
-    documentInContext = active;
+// Function to remove one document from a conversation's context
+// The conversation history is kept; later answers just stop drawing on the document
+async function removeDocument(documentId, conversation = getActiveConversation()) {
+    const clientSessionId = encodeURIComponent(conversation.sessionId);
+    
+    // The document kept from before conversations could hold several is only reachable by clearing the context
+    const response = documentId
+        ? await authenticatedFetch(`/api/document-chat/documents/${encodeURIComponent(documentId)}?clientSessionId=${clientSessionId}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        })
+        : await authenticatedFetch(`/api/document-chat/clear-context?clientSessionId=${clientSessionId}`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+    
+    if (!response.ok) {
+        console.error('Error removing document:', response.status, response.statusText);
+        throw await createErrorFromResponse(response);
+    }
+    
+    const current = getConversation(conversation.id);
+    if (current) {
+        updateConversation(conversation.id, {
+            documents: current.documents.filter(doc => doc.id !== documentId)
+        });
+    }
+    
+    updateUIDocumentState();
+    console.log(`Document ${documentId || '(session document)'} removed`);
 }
 
 // Export chat-related API functions
 export { 
     callChatAPI, 
-    callChatWithFileAPI, 
+    streamChatAPI,
+    uploadDocument, 
+    getServerCapabilities, 
+    isAbortError,
     clearDocumentContext,
+    getClearContextUrl,
+    removeDocument,
     clearConversationHistory,
-    documentInContext, 
-    setDocumentContext,
+    truncateConversationHistory,
     updateUIDocumentState
 };
@@ -0,0 +1,84 @@
+/**
+ * Authenticated requests for the chat application
+ * Sends the signed-in user's access token with every API call and renews it once when the server rejects it
+ */
+
+import { fetchWithNetworkErrors } from './errors.js';
+
+// Helper function to get the Authorization header for the signed-in user
+// Returns no header when authentication isn't set up, so the request can still go to endpoints that allow it
+async function getAuthorizationHeaders({ forceRefresh = false } = {}) {
+    if (!window.authModule || !window.authModule.isAuthenticated()) {
+        return {};
+    }
+
+    const accessToken = await window.authModule.getAccessToken({ forceRefresh });
+    return accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {};
+}
+
+// Function to make a request with the user's access token
+// send is called with the Authorization header and returns a fetch-like response; on a 401 the token is
+// renewed silently and send is called once more, and if that fails too the user is sent back to sign in
+async function withAuthentication(send) {
+    const response = await send(await getAuthorizationHeaders());
+    if (response.status !== 401) return response;
+
+    console.warn('Request was rejected as unauthenticated, renewing the access token');
+    const renewedHeaders = await getAuthorizationHeaders({ forceRefresh: true });
+    if (renewedHeaders.Authorization) {
+        const retriedResponse = await send(renewedHeaders);
+        if (retriedResponse.status !== 401) return retriedResponse;
+    }
+
+    // The session can't be renewed without the user
+    if (window.authModule) {
+        window.authModule.handleSessionExpired();
+    }
+    return response;
+}
+
+// Function to call fetch with the user's access token, reporting a failure to reach the server as a NetworkError
+// Takes the same arguments as fetch; the request body must be one that can be sent twice, such as a string or FormData
+function authenticatedFetch(url, options = {}) {
+    return withAuthentication(authorizationHeaders => fetchWithNetworkErrors(url, {
+        ...options,
+        headers: { ...options.headers, ...authorizationHeaders }
+    }));
+}
+
+// Function to call fetch with a token renewed only silently, never asking the user to sign in
+// For requests the user didn't start, such as clearing their documents at an idle sign-out;
+// a 401 is returned as it is rather than retried or treated as an expired session
+async function fetchWithoutInteraction(url, options = {}) {
+    const accessToken = window.authModule && window.authModule.isAuthenticated()
+        ? await window.authModule.getAccessToken({ interactive: false })
+        : null;
+    const authorizationHeaders = accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {};
+
+    return fetchWithNetworkErrors(url, {
+        ...options,
+        headers: { ...options.headers, ...authorizationHeaders }
+    });
+}
+
+// Function to send a request that must leave at once, such as while the page is closing
+// There is no time to renew the token, so the last one acquired is sent, and the request is kept alive
+// past the page unloading; the response isn't waited for, so a 401 isn't retried
+function sendKeepaliveRequest(url, options = {}) {
+    const accessToken = window.authModule ? window.authModule.getCachedAccessToken() : null;
+    const authorizationHeaders = accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {};
+
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...authorizationHeaders },
+        keepalive: true
+    });
+}
+
+// Export authenticated request functions
+export {
+    withAuthentication,
+    authenticatedFetch,
+    fetchWithoutInteraction,
+    sendKeepaliveRequest
+};
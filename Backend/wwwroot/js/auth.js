@@ -25,11 +25,47 @@ let apiRequest = {
     scopes: []
 };
 
+// How sign-in and token renewal ask for the user: 'redirect' leaves the page, 'popup' keeps it open
+// Will be populated from server config
+let interactionMode = 'redirect';
+
+// MSAL error codes for a popup the browser didn't let open, in which case a redirect is used instead
+const POPUP_BLOCKED_ERROR_CODES = ['popup_window_error', 'empty_window_error'];
+
 // Initialize MSAL instance
 let msalInstance;
 let currentUser = null;
 let configLoaded = false;
 
+// Token renewal already waiting on the user, shared so several API calls don't open several popups
+let interactiveTokenRequest = null;
+
+// The last access token acquired and when it expires, for requests that can't wait for a renewal
+let cachedAccessToken = null;
+
+// Callbacks run before the page redirects to sign in, so the app can save what the user was doing
+const beforeRedirectCallbacks = [];
+
+// Minutes without activity before the session is ended (0 turns this off), and seconds of warning before that
+// Will be populated from server config
+let idleTimeoutMinutes = 0;
+let idleWarningSeconds = 60;
+
+// Last activity is kept in localStorage, so using the app in one tab keeps the other tabs signed in too
+const LAST_ACTIVITY_KEY = 'rai-chat-last-activity';
+
+// Events that count as activity, and how often at most it is recorded, since pointer moves fire constantly
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const ACTIVITY_RECORD_INTERVAL = 5000;
+
+// Idle timeout state: the callback that clears the user's data, the timers, and whether the warning is showing
+let idleTimeoutCallback = null;
+let idleCheckTimer = null;
+let idleCountdownTimer = null;
+let lastRecordedActivity = 0;
+let idleWarningVisible = false;
+let idleSessionEnding = false;
+
 // Ensure MSAL is available
 function ensureMSAL() {
     return new Promise((resolve, reject) => {
@@ -86,6 +122,12 @@ async function fetchAuthConfig() {
         // Update API request scopes - force clear any cached scopes
         apiRequest.scopes = [config.apiScope];
         
+        interactionMode = config.interactionMode === 'popup' ? 'popup' : 'redirect';
+        console.log(`Using ${interactionMode} sign-in`);
+        
+        idleTimeoutMinutes = Math.max(0, Number(config.idleTimeoutMinutes) || 0);
+        idleWarningSeconds = Math.max(0, Number(config.idleWarningSeconds) || 0);
+        
         // Clear only MSAL-specific tokens to avoid interfering with login flow
         const msalKeys = Object.keys(localStorage).filter(key => 
             key.includes('msal') && (key.includes('accesstoken') || key.includes('idtoken'))
@@ -147,6 +189,7 @@ async function initializeAuth() {
         if (response) {
             console.log('Login successful:', response);
             currentUser = response.account;
+            msalInstance.setActiveAccount(currentUser);
             updateUIForAuthenticatedUser();
             return true;
         }
@@ -154,7 +197,7 @@ async function initializeAuth() {
         // Try silent authentication first
         const accounts = msalInstance.getAllAccounts();
         if (accounts.length > 0) {
-            currentUser = accounts[0];
+            currentUser = await selectAccount(accounts);
             msalInstance.setActiveAccount(currentUser);
             
             try {
@@ -180,21 +223,186 @@ async function initializeAuth() {
     }
 }
 
+/**
+ * Pick the account to use from those signed in on this browser
+ * The account chosen last time is used again; otherwise, with several accounts, the user chooses
+ */
+async function selectAccount(accounts) {
+    const activeAccount = msalInstance.getActiveAccount();
+    const previousAccount = activeAccount && accounts.find(account => account.homeAccountId === activeAccount.homeAccountId);
+    if (previousAccount) {
+        return previousAccount;
+    }
+    
+    if (accounts.length === 1) {
+        return accounts[0];
+    }
+    
+    console.log(`${accounts.length} accounts are signed in, asking which to use`);
+    return chooseAccount(accounts);
+}
+
+/**
+ * Show the account picker and wait for the user to choose an account
+ * Resolves with the chosen account, or null if the picker was cancelled
+ */
+function chooseAccount(accounts, { cancellable = false } = {}) {
+    return new Promise(resolve => {
+        const accountList = document.getElementById('account-list');
+        const addAccountButton = document.getElementById('addAccountButton');
+        const cancelButton = document.getElementById('cancelAccountPickerButton');
+        
+        const finish = (account) => {
+            hideElement('account-picker-container');
+            resolve(account);
+        };
+        
+        accountList.replaceChildren(...accounts.map(account => {
+            const item = document.createElement('li');
+            const button = createAccountOption(account);
+            button.addEventListener('click', () => finish(account));
+            item.appendChild(button);
+            return item;
+        }));
+        
+        // Assigned rather than added, so reopening the picker doesn't stack handlers
+        addAccountButton.onclick = () => addAccount();
+        cancelButton.onclick = () => finish(null);
+        cancelButton.style.display = cancellable ? '' : 'none';
+        
+        hideLoadingState();
+        showElement('account-picker-container');
+    });
+}
+
+/**
+ * Create the button for one account in the account picker
+ */
+function createAccountOption(account) {
+    const button = document.createElement('button');
+    button.classList.add('account-option');
+    
+    if (currentUser && account.homeAccountId === currentUser.homeAccountId) {
+        button.classList.add('current');
+        button.setAttribute('aria-current', 'true');
+    }
+    
+    const name = document.createElement('span');
+    name.classList.add('account-option-name');
+    name.textContent = account.name || account.username;
+    button.appendChild(name);
+    
+    const username = document.createElement('span');
+    username.classList.add('account-option-username');
+    username.textContent = account.username;
+    button.appendChild(username);
+    
+    return button;
+}
+
+/**
+ * Let the user switch to another signed-in account, or sign in with a new one
+ */
+async function switchAccount() {
+    const account = await chooseAccount(msalInstance.getAllAccounts(), { cancellable: true });
+    if (!account || (currentUser && account.homeAccountId === currentUser.homeAccountId)) {
+        return;
+    }
+    
+    console.log('Switching account');
+    msalInstance.setActiveAccount(account);
+    // Each account keeps its own conversations, so start again with the new account's
+    window.location.reload();
+}
+
+/**
+ * Sign in with an account that isn't signed in yet, then start again with it
+ */
+async function addAccount() {
+    const request = { ...loginRequest, prompt: 'select_account' };
+    
+    try {
+        if (interactionMode === 'popup') {
+            try {
+                const response = await msalInstance.loginPopup(request);
+                msalInstance.setActiveAccount(response.account);
+                window.location.reload();
+                return;
+            } catch (error) {
+                if (!isPopupBlockedError(error)) throw error;
+                console.warn('Sign-in popup was blocked, signing in with a redirect instead');
+            }
+        }
+        
+        showLoadingState('Signing in...');
+        await prepareForRedirect();
+        await msalInstance.loginRedirect(request);
+    } catch (error) {
+        console.error('Adding an account failed:', error);
+        hideLoadingState();
+    }
+}
+
+/**
+ * Register a callback to run before the page redirects to sign in
+ * The callback may return a promise; the redirect waits for it
+ */
+function onBeforeRedirect(callback) {
+    beforeRedirectCallbacks.push(callback);
+}
+
+/**
+ * Run the before-redirect callbacks, continuing with the redirect even if one fails
+ */
+async function prepareForRedirect() {
+    await Promise.all(beforeRedirectCallbacks.map(async callback => {
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to save state before redirect:', error);
+        }
+    }));
+}
+
+/**
+ * Check whether an MSAL error means the browser blocked the popup
+ */
+function isPopupBlockedError(error) {
+    return error instanceof msal.BrowserAuthError && POPUP_BLOCKED_ERROR_CODES.includes(error.errorCode);
+}
+
 /**
  * Perform interactive login
+ * Resolves with true when the user signed in without leaving the page (popup mode);
+ * in redirect mode the page navigates away instead
  */
 async function login() {
     try {
-        // In MSAL.js v3, we don't need to check interaction status the same way
-        // Just proceed with login redirect
-        
         showLoadingState('Signing in...');
+        
+        if (interactionMode === 'popup') {
+            try {
+                const response = await msalInstance.loginPopup(loginRequest);
+                console.log('Login successful:', response);
+                currentUser = response.account;
+                msalInstance.setActiveAccount(currentUser);
+                updateUIForAuthenticatedUser();
+                return true;
+            } catch (error) {
+                if (!isPopupBlockedError(error)) throw error;
+                console.warn('Sign-in popup was blocked, signing in with a redirect instead');
+            }
+        }
+        
+        await prepareForRedirect();
         await msalInstance.loginRedirect(loginRequest);
         // Redirect will happen, so this code won't execute
+        return false;
     } catch (error) {
         console.error('Login failed:', error);
         showAuthError('Login failed. Please try again.');
         hideLoadingState();
+        return false;
     }
 }
 
@@ -203,7 +411,9 @@ async function login() {
  */
 async function logout() {
     try {
+        // Only the current account is signed out; any others stay available in the account picker
         await msalInstance.logoutRedirect({
+            account: currentUser,
             postLogoutRedirectUri: window.location.origin
         });
     } catch (error) {
@@ -212,40 +422,268 @@ async function logout() {
     }
 }
 
+/**
+ * Start signing the user out after the configured time without activity
+ * A warning with a countdown is shown first; onTimeout is awaited before logout so the app can clear
+ * the user's documents and local data
+ */
+function startIdleTimeout(onTimeout) {
+    if (idleTimeoutMinutes <= 0) {
+        console.log('Idle timeout is turned off');
+        return;
+    }
+    if (idleTimeoutCallback) return;
+    idleTimeoutCallback = onTimeout;
+    
+    ACTIVITY_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, () => recordActivity(), { capture: true, passive: true });
+    });
+    
+    const staySignedInButton = document.getElementById('staySignedInButton');
+    if (staySignedInButton) {
+        staySignedInButton.addEventListener('click', staySignedIn);
+    }
+    
+    const idleSignOutButton = document.getElementById('idleSignOutButton');
+    if (idleSignOutButton) {
+        idleSignOutButton.addEventListener('click', endIdleSession);
+    }
+    
+    recordActivity(true);
+    scheduleIdleCheck();
+    console.log(`Idle timeout set to ${idleTimeoutMinutes} minute(s) with a ${idleWarningSeconds} second warning`);
+}
+
+/**
+ * Get the idle timeout and its warning in milliseconds
+ */
+function getIdleDurations() {
+    const timeoutMs = idleTimeoutMinutes * 60 * 1000;
+    return {
+        timeoutMs,
+        warningMs: Math.min(idleWarningSeconds * 1000, timeoutMs)
+    };
+}
+
+/**
+ * Record that the user is active, at most once per ACTIVITY_RECORD_INTERVAL unless forced
+ */
+function recordActivity(force = false) {
+    // Once the warning is showing, only its button keeps the session
+    if (idleWarningVisible && !force) return;
+    
+    const now = Date.now();
+    if (!force && now - lastRecordedActivity < ACTIVITY_RECORD_INTERVAL) return;
+    
+    lastRecordedActivity = now;
+    try {
+        localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    } catch (error) {
+        // Without storage only this tab's activity counts
+        console.warn('Failed to share activity with other tabs:', error);
+    }
+}
+
+/**
+ * Get the time of the user's last activity in any tab
+ */
+function getLastActivity() {
+    let sharedActivity = 0;
+    try {
+        sharedActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+    } catch (error) {
+        sharedActivity = 0;
+    }
+    return Math.max(lastRecordedActivity, sharedActivity);
+}
+
+/**
+ * Schedule the next check for when the warning would be due
+ */
+function scheduleIdleCheck() {
+    clearTimeout(idleCheckTimer);
+    
+    const { timeoutMs, warningMs } = getIdleDurations();
+    const warningAt = getLastActivity() + timeoutMs - warningMs;
+    idleCheckTimer = setTimeout(checkIdle, Math.max(0, warningAt - Date.now()));
+}
+
+/**
+ * Show the warning if the user has been idle long enough, or check again later if there was activity since
+ */
+function checkIdle() {
+    const { timeoutMs, warningMs } = getIdleDurations();
+    if (Date.now() < getLastActivity() + timeoutMs - warningMs) {
+        scheduleIdleCheck();
+        return;
+    }
+    
+    idleWarningVisible = true;
+    updateIdleCountdown();
+    if (!idleWarningVisible) return;
+    
+    showElement('idle-warning-container');
+    const staySignedInButton = document.getElementById('staySignedInButton');
+    if (staySignedInButton) {
+        staySignedInButton.focus();
+    }
+    idleCountdownTimer = setInterval(updateIdleCountdown, 1000);
+}
+
+/**
+ * Update the warning's countdown, ending the session when it runs out
+ */
+function updateIdleCountdown() {
+    const { timeoutMs, warningMs } = getIdleDurations();
+    const lastActivity = getLastActivity();
+    
+    // The user chose to stay signed in from another tab
+    if (Date.now() < lastActivity + timeoutMs - warningMs) {
+        hideIdleWarning();
+        scheduleIdleCheck();
+        return;
+    }
+    
+    const secondsLeft = Math.ceil((lastActivity + timeoutMs - Date.now()) / 1000);
+    if (secondsLeft <= 0) {
+        endIdleSession();
+        return;
+    }
+    
+    const countdownElement = document.getElementById('idle-countdown');
+    if (countdownElement) {
+        countdownElement.textContent = String(secondsLeft);
+    }
+}
+
+/**
+ * Hide the idle warning and stop its countdown
+ */
+function hideIdleWarning() {
+    idleWarningVisible = false;
+    clearInterval(idleCountdownTimer);
+    idleCountdownTimer = null;
+    hideElement('idle-warning-container');
+}
+
+/**
+ * Keep the session after the idle warning
+ */
+function staySignedIn() {
+    hideIdleWarning();
+    recordActivity(true);
+    scheduleIdleCheck();
+    console.log('User chose to stay signed in');
+}
+
+/**
+ * End a session that has been idle too long: let the app clear the user's data, then sign out
+ */
+async function endIdleSession() {
+    if (idleSessionEnding) return;
+    idleSessionEnding = true;
+    
+    clearTimeout(idleCheckTimer);
+    hideIdleWarning();
+    console.log('Session was idle too long, signing out');
+    
+    // Cover the app so nothing from the session stays on screen while it is cleared
+    showLoadingState('Signing out after inactivity...');
+    try {
+        await idleTimeoutCallback();
+    } catch (error) {
+        console.error('Failed to clear session data after inactivity:', error);
+    }
+    
+    await logout();
+}
+
 /**
  * Acquire access token silently
+ * Pass forceRefresh to skip the cached token, e.g. after the server has rejected it,
+ * and allowInteraction = false to fail rather than ask the user when the token can't be renewed silently
  */
-async function acquireTokenSilently() {
+async function acquireTokenSilently(forceRefresh = false, { allowInteraction = true } = {}) {
     if (!currentUser) {
         throw new Error('No user account available');
     }
 
     const request = {
         ...apiRequest,
-        account: currentUser
+        account: currentUser,
+        forceRefresh
     };
 
     try {
         const response = await msalInstance.acquireTokenSilent(request);
-        return response.accessToken;
+        return rememberAccessToken(response);
     } catch (error) {
         console.log('Silent token acquisition failed:', error);
         
         // If silent acquisition fails, try interactive
-        if (error instanceof msal.InteractionRequiredAuthError) {
-            console.log('Interaction required, initiating redirect...');
-            // For redirect flow, we don't get a return value immediately
-            await msalInstance.acquireTokenRedirect(request);
-            return null; // Will be handled on redirect return
+        if (error instanceof msal.InteractionRequiredAuthError && allowInteraction) {
+            return acquireTokenInteractively(request);
         }
         throw error;
     }
 }
 
+/**
+ * Keep an acquired access token for getCachedAccessToken, returning the token
+ */
+function rememberAccessToken(response) {
+    cachedAccessToken = {
+        token: response.accessToken,
+        expiresOn: response.expiresOn ? new Date(response.expiresOn).getTime() : null
+    };
+    return response.accessToken;
+}
+
+/**
+ * Get the last access token acquired, without renewing it, or null if there is none or it has expired
+ * For requests that must be sent right away, such as while the page is closing
+ */
+function getCachedAccessToken() {
+    if (!cachedAccessToken || !currentUser) return null;
+    if (cachedAccessToken.expiresOn !== null && cachedAccessToken.expiresOn <= Date.now()) return null;
+    return cachedAccessToken.token;
+}
+
+/**
+ * Acquire access token with the user's help, in a popup when configured and otherwise with a redirect
+ * Resolves with null when the page is redirecting
+ */
+async function acquireTokenInteractively(request) {
+    if (interactionMode === 'popup') {
+        if (!interactiveTokenRequest) {
+            console.log('Interaction required, opening popup...');
+            interactiveTokenRequest = msalInstance.acquireTokenPopup(request).finally(() => {
+                interactiveTokenRequest = null;
+            });
+        }
+        
+        try {
+            const response = await interactiveTokenRequest;
+            return rememberAccessToken(response);
+        } catch (error) {
+            if (!isPopupBlockedError(error)) throw error;
+            console.warn('Token popup was blocked, using a redirect instead');
+        }
+    }
+    
+    console.log('Interaction required, initiating redirect...');
+    await prepareForRedirect();
+    // For redirect flow, we don't get a return value immediately
+    await msalInstance.acquireTokenRedirect(request);
+    return null; // Will be handled on redirect return
+}
+
 /**
  * Get access token for API calls
+ * Pass { forceRefresh: true } to get a new token instead of the cached one,
+ * and { interactive: false } to get null rather than a popup or redirect when the user would have to sign in
  */
-async function getAccessToken() {
+async function getAccessToken({ forceRefresh = false, interactive = true } = {}) {
     try {
         // Check if user is still authenticated
         if (!currentUser || !msalInstance) {
@@ -259,7 +697,7 @@ async function getAccessToken() {
             return null;
         }
         
-        const token = await acquireTokenSilently();
+        const token = await acquireTokenSilently(forceRefresh, { allowInteraction: interactive });
         if (!token) {
             console.log('No token received from silent acquisition');
             return null;
@@ -274,6 +712,16 @@ async function getAccessToken() {
     }
 }
 
+/**
+ * Return to the sign-in screen when the session can't be renewed
+ * Called when the server still rejects a request after the access token was refreshed
+ */
+function handleSessionExpired() {
+    console.warn('Session could not be renewed, returning to sign in');
+    showLoginUI();
+    showAuthError('Your session has expired. Please sign in again.');
+}
+
 /**
  * Check if user is authenticated
  */
@@ -380,6 +828,11 @@ window.authModule = {
     login,
     logout,
     getAccessToken,
+    getCachedAccessToken,
+    handleSessionExpired,
+    onBeforeRedirect,
+    startIdleTimeout,
+    switchAccount,
     isAuthenticated,
     getCurrentUser
 };
@@ -2,35 +2,75 @@
  * Core chat functionality for the chat application
  */
 
-import { addMessage, showTypingIndicator, removeTypingIndicator } from './ui.js';
-import { callChatAPI, callChatWithFileAPI } from './api.js';
-import { resetFileAttachment } from './document-handler.js';
+import { 
+    addMessage, 
+    createStreamingMessage, 
+    updateStreamingMessage, 
+    finalizeStreamingMessage, 
+    markMessageInHistory,
+    setRegenerableMessage,
+    removeMessagesFrom,
+    showTypingIndicator, 
+    setTypingIndicatorStatus, 
+    removeTypingIndicator,
+    setRequestPending, 
+    setMessageDeliveryStatus 
+} from './ui.js';
+import { 
+    streamChatAPI, 
+    isAbortError, 
+    clearConversationHistory, 
+    truncateConversationHistory 
+} from './api.js';
+import { waitForDocumentUpload, cancelDocumentUpload } from './document-handler.js';
+import { getActiveConversation, getConversation } from './conversations.js';
+import { NetworkError, describeError } from './errors.js';
+import { 
+    isOnline, 
+    getQueuedMessages, 
+    getNextQueuedMessage, 
+    getPendingMessageCount, 
+    queueMessage, 
+    setQueuedMessageStatus, 
+    requeueMessage, 
+    removeQueuedMessage 
+} from './outbox.js';
+import { downloadTranscript } from './transcripts.js';
+
+// Controller for the request currently in flight, used by the Stop button
+let activeRequestController = null;
+
+// The message that request is sending, kept until it is answered so a sign-in redirect can't lose it
+let messageInFlight = null;
+
+// How long to wait before trying queued messages again when the server couldn't be reached
+const OUTBOX_RETRY_DELAY = 30000;
+
+// Whether queued messages are being sent, and the timer for the next attempt after a failure
+let flushingOutbox = false;
+let outboxRetryTimer = null;
 
 // Function to send a message
-async function sendMessage(
-    message, 
-    chatMessages, 
-    userInput, 
-    currentFile = null, 
-    currentFileName = null,
-    uploadButton = null,
-    fileInput = null
-) {
+// Messages sent while offline, while another is being answered, or while earlier ones are still waiting,
+// are queued and sent in order later
+async function sendMessage(message, chatMessages, userInput) {
     if (message === '') return;
+    
+    // Only one request runs at a time, so a message sent while another is being answered waits its turn
+    if (!isOnline() || getPendingMessageCount() > 0 || activeRequestController) {
+        queueOutgoingMessage(getActiveConversation().id, message, chatMessages, userInput);
+        return;
+    }
+
+    // Where this exchange will land in the history once it succeeds
+    const conversation = getActiveConversation();
+    const sentAt = new Date().toISOString();
+    const historyLengthBefore = conversation.history.length;
+    let userMessageDiv;
+    let botMessageDiv;
 
     // Add user message to chat
-    if (currentFile) {
-        // For messages with files, add a special note
-        addMessage(`${message}`, 'user', chatMessages, userInput);
-        
-        // Remove the file indicator UI since we're sending it now
-        const fileIndicator = document.getElementById('fileUploadIndicator');
-        if (fileIndicator) {
-            fileIndicator.remove();
-        }
-    } else {
-        addMessage(message, 'user', chatMessages, userInput);
-    }
+    userMessageDiv = addMessage(message, 'user', chatMessages, userInput);
 
     // Clear input and reset height
     userInput.value = '';
@@ -39,103 +79,296 @@ async function sendMessage(
     // Show typing indicator
     showTypingIndicator(chatMessages);
 
+    // Swap the send button for the Stop button until the request settles
+    const requestController = new AbortController();
+    activeRequestController = requestController;
+    messageInFlight = message;
+    setRequestPending(true);
+
+    // Bot message that grows while a streamed response arrives
+    let streamingMessage = null;
+    
+    // Set when the server couldn't be reached, so queued messages wait before trying again
+    let connectionLost = false;
+
     try {
-        let response;
+        // A document added just before the message is still being processed, so let it finish first
+        await waitForDocumentUpload();
         
-        // Check if we have a file to send with the message
-        if (currentFile) {
-            // Call the chat-with-file API
-            response = await callChatWithFileAPI(message, currentFile);
-            
-            // Reset file attachment
-            if (uploadButton && fileInput) {
-                resetFileAttachment(uploadButton, fileInput);
+        // Render the response as it streams in
+        let responseText = '';
+        
+        const onRetry = ({ attempt, maxAttempts }) => setTypingIndicatorStatus(`Retrying (${attempt}/${maxAttempts})…`);
+        
+        for await (const delta of streamChatAPI(message, {
+            conversation,
+            signal: requestController.signal,
+            onRetry
+        })) {
+            if (!streamingMessage) {
+                // Swap the typing indicator for the message on the first piece of text
+                removeTypingIndicator();
+                streamingMessage = createStreamingMessage(chatMessages);
+                // Messages queued behind this one stay below its answer
+                userMessageDiv.after(streamingMessage);
             }
-        } else {
-            // Regular chat without file
-            response = await callChatAPI(message);
+            
+            responseText += delta;
+            updateStreamingMessage(streamingMessage, responseText, chatMessages);
         }
         
-        // Remove typing indicator
         removeTypingIndicator();
         
-        // Add bot response to chat
-        addMessage(response, 'bot', chatMessages, userInput);
+        if (streamingMessage) {
+            botMessageDiv = finalizeStreamingMessage(streamingMessage, responseText, chatMessages, userInput);
+        } else {
+            botMessageDiv = addMessage(responseText, 'bot', chatMessages, userInput);
+            userMessageDiv.after(botMessageDiv);
+        }
+        
+        // Link both messages to the exchange just saved so they can be edited or regenerated
+        if (conversation.history.length === historyLengthBefore + 2) {
+            markMessageInHistory(userMessageDiv, historyLengthBefore);
+            markMessageInHistory(botMessageDiv, historyLengthBefore + 1);
+            setRegenerableMessage(chatMessages, botMessageDiv);
+        }
     } catch (error) {
-        // Remove typing indicator
+        // Remove typing indicator and any partially streamed response
         removeTypingIndicator();
+        if (streamingMessage) {
+            streamingMessage.remove();
+        }
         
-        // Show error message
-        addMessage("Sorry, there was an error processing your request. Please try again later.", 'bot', chatMessages, userInput);
-        console.error('Error:', error);
+        if (isAbortError(error)) {
+            // Nothing from a stopped exchange is kept in the conversation history
+            userMessageDiv.after(addMessage('Response stopped. This exchange was not added to the conversation.', 'system', chatMessages, userInput));
+            console.log('Chat request cancelled by user');
+        } else if (error instanceof NetworkError) {
+            // The connection dropped, so keep the message and send it once the server can be reached,
+            // ahead of any written while it was being sent
+            connectionLost = true;
+            queueOutgoingMessage(conversation.id, message, chatMessages, userInput, userMessageDiv, sentAt);
+            scheduleOutboxFlush(chatMessages, userInput);
+        } else {
+            // Say what went wrong and what the user can do about it
+            userMessageDiv.after(addMessage(describeError(error), 'bot', chatMessages, userInput));
+            console.error('Error:', error);
+        }
+    } finally {
+        activeRequestController = null;
+        messageInFlight = null;
+        setRequestPending(false);
         
-        // Reset file attachment on error
-        if (currentFile && uploadButton && fileInput) {
-            resetFileAttachment(uploadButton, fileInput);
+        // Messages queued while this one was being answered can go now
+        if (!connectionLost) {
+            flushOutbox(chatMessages, userInput);
+        }
+    }
+}
+
+// Function to get the message being sent but not yet answered, or null if there is none
+// The message box is cleared as soon as a message is sent, so this is what a sign-in redirect mid-request would lose
+function getMessageInFlight() {
+    return messageInFlight;
+}
+
+// Helper function to queue a message and show it as waiting to be sent
+// Pass the message's element if it is already in the chat, and when it was sent if that was before now
+function queueOutgoingMessage(conversationId, message, chatMessages, userInput, messageDiv = null, queuedAt = null) {
+    const queuedMessage = queueMessage(conversationId, message, { queuedAt });
+    
+    if (!messageDiv) {
+        messageDiv = addMessage(message, 'user', chatMessages, userInput);
+        userInput.value = '';
+        userInput.style.height = 'auto';
+    }
+    messageDiv.dataset.queuedId = queuedMessage.id;
+    setMessageDeliveryStatus(messageDiv, 'pending');
+    
+    flushOutbox(chatMessages, userInput);
+}
+
+// Helper function to find a queued message in the chat, if its conversation is the one shown
+function findQueuedMessageDiv(chatMessages, queuedMessageId) {
+    return chatMessages.querySelector(`.message[data-queued-id="${queuedMessageId}"]`);
+}
+
+// Helper function to record a queued message's status and show it in the chat
+function updateQueuedMessageStatus(chatMessages, queuedMessage, status, detail = null) {
+    setQueuedMessageStatus(queuedMessage.id, status, detail);
+    
+    const messageDiv = findQueuedMessageDiv(chatMessages, queuedMessage.id);
+    if (messageDiv) {
+        setMessageDeliveryStatus(messageDiv, status, detail);
+    }
+}
+
+// Function to show the active conversation's queued messages after its history
+function showQueuedMessages(chatMessages) {
+    getQueuedMessages(getActiveConversation().id).forEach(queuedMessage => {
+        const timestamp = new Date(queuedMessage.queuedAt);
+        const messageDiv = addMessage(queuedMessage.message, 'user', chatMessages, null, { scroll: false, timestamp });
+        messageDiv.dataset.queuedId = queuedMessage.id;
+        setMessageDeliveryStatus(messageDiv, queuedMessage.status, queuedMessage.error);
+    });
+    
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Helper function to try the queue again after a delay
+function scheduleOutboxFlush(chatMessages, userInput) {
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = setTimeout(() => flushOutbox(chatMessages, userInput), OUTBOX_RETRY_DELAY);
+}
+
+// Function to send queued messages one at a time, oldest first
+// Stops while offline or when the server can't be reached, and tries again later
+async function flushOutbox(chatMessages, userInput) {
+    // A message being answered right now goes first; sendMessage flushes once it settles
+    if (flushingOutbox || activeRequestController || !isOnline()) return;
+    
+    clearTimeout(outboxRetryTimer);
+    flushingOutbox = true;
+    
+    try {
+        let queuedMessage;
+        while (isOnline() && (queuedMessage = getNextQueuedMessage())) {
+            const delivered = await sendQueuedMessage(queuedMessage, chatMessages, userInput);
+            if (!delivered) {
+                scheduleOutboxFlush(chatMessages, userInput);
+                break;
+            }
         }
+    } finally {
+        flushingOutbox = false;
     }
 }
 
-// Function to download chat history
-function downloadChatHistory(chatMessages, downloadChatButton) {
+// Helper function to send one queued message and show the answer if its conversation is on screen
+// Returns false if the server couldn't be reached, leaving the message queued
+async function sendQueuedMessage(queuedMessage, chatMessages, userInput) {
+    const conversation = getConversation(queuedMessage.conversationId);
+    if (!conversation) {
+        // The conversation was deleted while the message was waiting
+        removeQueuedMessage(queuedMessage.id);
+        return true;
+    }
+    
+    const historyLengthBefore = conversation.history.length;
+    updateQueuedMessageStatus(chatMessages, queuedMessage, 'sending');
+    
     try {
-        // Show a loading indicator
-        const originalTitle = downloadChatButton.getAttribute('title') || 'Download Chat';
-        downloadChatButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
-        downloadChatButton.setAttribute('title', 'Preparing download...');
+        let responseText = '';
+        for await (const delta of streamChatAPI(queuedMessage.message, { conversation })) {
+            responseText += delta;
+        }
         
-        // Create text content from chat messages
-        let textContent = "RAI Chat Transcript\r\n";
-        textContent += `Generated: ${new Date().toLocaleString()}\r\n\r\n`;
+        removeQueuedMessage(queuedMessage.id);
+        console.log(`Sent queued message ${queuedMessage.id}`);
         
-        const messages = chatMessages.querySelectorAll('.message');
-        messages.forEach(message => {
-            // Skip typing indicators
-            if (message.classList.contains('typing-indicator')) return;
-            
-            // Determine sender
-            const isBot = message.classList.contains('bot-message');
-            const isSystem = message.classList.contains('system-message');
-            const sender = isBot ? 'RAI' : (isSystem ? 'System' : 'You');
+        const messageDiv = findQueuedMessageDiv(chatMessages, queuedMessage.id);
+        if (messageDiv) {
+            setMessageDeliveryStatus(messageDiv, 'sent');
+            delete messageDiv.dataset.queuedId;
             
-            // Get message content
-            let content = message.textContent.trim();
+            // The answer goes right after its question, above any messages still waiting
+            const botMessageDiv = addMessage(responseText, 'bot', chatMessages, userInput, { scroll: false });
+            messageDiv.after(botMessageDiv);
             
-            // Add to chat content
-            textContent += `${sender}: ${content}\r\n\r\n`;
-        });
-        
-        // Create a download link for the text file
-        const blob = new Blob([textContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `rai-chat-${new Date().toISOString().slice(0, 10)}.txt`;
-        
-        // Append link, trigger click, and clean up
-        document.body.appendChild(a);
-        a.click();
+            if (conversation.history.length === historyLengthBefore + 2) {
+                markMessageInHistory(messageDiv, historyLengthBefore);
+                markMessageInHistory(botMessageDiv, historyLengthBefore + 1);
+                if (getQueuedMessages(conversation.id).length === 0) {
+                    setRegenerableMessage(chatMessages, botMessageDiv);
+                }
+            }
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+        return true;
+    } catch (error) {
+        if (error instanceof NetworkError) {
+            console.warn(`Queued message ${queuedMessage.id} could not be sent yet:`, error);
+            updateQueuedMessageStatus(chatMessages, queuedMessage, 'pending');
+            return false;
+        }
         
-        // Clean up after a short delay
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            // Restore the button
-            downloadChatButton.innerHTML = '<i class="fas fa-download"></i>';
-            downloadChatButton.setAttribute('title', originalTitle);
-            
-            console.log('Download initiated');
-        }, 100);
+        console.error(`Queued message ${queuedMessage.id} failed:`, error);
+        updateQueuedMessageStatus(chatMessages, queuedMessage, 'failed', describeError(error));
+        return true;
+    }
+}
+
+// Function to send a failed queued message again, after any others still waiting
+function retryQueuedMessage(messageDiv, chatMessages, userInput) {
+    const queuedMessageId = messageDiv.dataset.queuedId;
+    if (!queuedMessageId) return;
+    
+    requeueMessage(queuedMessageId);
+    chatMessages.appendChild(messageDiv);
+    setMessageDeliveryStatus(messageDiv, 'pending');
+    flushOutbox(chatMessages, userInput);
+}
+
+// Function to remove a failed queued message without sending it
+function discardQueuedMessage(messageDiv) {
+    const queuedMessageId = messageDiv.dataset.queuedId;
+    if (!queuedMessageId) return;
+    
+    removeQueuedMessage(queuedMessageId);
+    messageDiv.remove();
+}
+
+// Function to ask for a new answer to the last question
+async function regenerateResponse(chatMessages, userInput) {
+    const { history } = getActiveConversation();
+    const lastQuestionIndex = history.map(entry => entry.role).lastIndexOf('user');
+    if (lastQuestionIndex === -1) return;
+    
+    await editAndResend(lastQuestionIndex, history[lastQuestionIndex].content, chatMessages, userInput);
+}
+
+// Function to replace an earlier question and ask it again
+// Everything after the edited question is discarded from the chat and the history
+async function editAndResend(historyIndex, message, chatMessages, userInput) {
+    if (activeRequestController) return;
+    
+    const messageDiv = chatMessages.querySelector(`.message[data-history-index="${historyIndex}"]`);
+    if (!messageDiv) return;
+    
+    // Keep the visible chat and the saved history in step
+    removeMessagesFrom(chatMessages, messageDiv);
+    truncateConversationHistory(historyIndex);
+    
+    await sendMessage(message, chatMessages, userInput);
+}
+
+// Function to stop the request currently in flight
+function stopGeneration() {
+    if (activeRequestController) {
+        console.log('Stopping in-flight chat request');
+        activeRequestController.abort();
+    }
+    
+    // A document still being processed belongs to the exchange or conversation being left too
+    cancelDocumentUpload();
+}
+
+// Function to download the active conversation as 'markdown', 'json' or 'html'
+function downloadChatHistory(format, chatMessages) {
+    const conversation = getActiveConversation();
+    
+    if (conversation.history.length === 0) {
+        addMessage('There are no messages in this conversation to download yet.', 'system', chatMessages);
+        return;
+    }
+    
+    try {
+        downloadTranscript(conversation, format);
     } catch (error) {
         console.error('Error downloading chat:', error);
         
         // Show error message
         addMessage('Sorry, there was an error downloading the chat history.', 'system', chatMessages);
-        
-        // Restore the button
-        downloadChatButton.innerHTML = '<i class="fas fa-download"></i>';
-        downloadChatButton.setAttribute('title', 'Download Chat');
     }
 }
 
@@ -147,7 +380,25 @@ function clearChat(chatMessages) {
     if (welcomeMessage) {
         chatMessages.appendChild(welcomeMessage);
     }
+    
+    // Forget the cleared messages so they are not sent as context again
+    clearConversationHistory();
+    
+    // Messages still waiting to be sent will be, so keep them in view
+    showQueuedMessages(chatMessages);
 }
 
 // Export functions
-export { sendMessage, downloadChatHistory, clearChat };
+export { 
+    sendMessage, 
+    regenerateResponse, 
+    editAndResend, 
+    stopGeneration, 
+    getMessageInFlight, 
+    flushOutbox, 
+    showQueuedMessages, 
+    retryQueuedMessage, 
+    discardQueuedMessage, 
+    downloadChatHistory, 
+    clearChat 
+};
@@ -0,0 +1,217 @@
+/**
+ * Conversation sidebar for the chat application
+ * Lists conversations and lets the user create, import, rename, switch and delete them
+ */
+
+import {
+    DEFAULT_CONVERSATION_TITLE,
+    getConversations,
+    getConversation,
+    getActiveConversation,
+    createConversation,
+    setActiveConversation,
+    updateConversation,
+    createTitleFromMessage,
+    renameConversation,
+    deleteConversation,
+    onConversationsChanged
+} from './conversations.js';
+import { clearDocumentContext, updateUIDocumentState } from './api.js';
+import { addMessage, renderConversationHistory } from './ui.js';
+import { stopGeneration, showQueuedMessages } from './chat.js';
+import { resetFileAttachment } from './document-handler.js';
+import { parseTranscript } from './transcripts.js';
+
+// Function to set up the conversation sidebar
+function initializeConversationSidebar(chatMessages, userInput, uploadButton, fileInput) {
+    const conversationList = document.getElementById('conversationList');
+    const newConversationButton = document.getElementById('newConversationButton');
+    const importTranscriptInput = document.getElementById('importTranscriptInput');
+    const toggleSidebarButton = document.getElementById('toggleSidebarButton');
+    const chatLayout = document.querySelector('.chat-layout');
+
+    // Redraw the chat for whichever conversation is now active
+    const showActiveConversation = () => {
+        resetFileAttachment(uploadButton, fileInput);
+        renderConversationHistory(getActiveConversation().history, chatMessages);
+        showQueuedMessages(chatMessages);
+        updateUIDocumentState();
+        chatLayout.classList.remove('sidebar-visible');
+        userInput.focus();
+    };
+
+    newConversationButton.addEventListener('click', () => {
+        stopGeneration();
+        createConversation();
+        showActiveConversation();
+    });
+
+    importTranscriptInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        // Clear the input so the same file can be picked again
+        importTranscriptInput.value = '';
+        if (file) {
+            await handleImportTranscript(file, chatMessages, showActiveConversation);
+        }
+    });
+
+    toggleSidebarButton.addEventListener('click', () => {
+        // The sidebar is an overlay on small screens and a collapsible column otherwise
+        if (window.matchMedia('(max-width: 768px)').matches) {
+            chatLayout.classList.toggle('sidebar-visible');
+        } else {
+            chatLayout.classList.toggle('sidebar-hidden');
+        }
+    });
+
+    // One listener handles every conversation item's buttons
+    conversationList.addEventListener('click', async (e) => {
+        const actionButton = e.target.closest('[data-action]');
+        if (!actionButton) return;
+
+        const conversationId = actionButton.closest('.conversation-item').dataset.conversationId;
+        const conversation = getConversation(conversationId);
+        if (!conversation) return;
+
+        switch (actionButton.dataset.action) {
+            case 'switch':
+                if (conversation.id !== getActiveConversation().id) {
+                    // A response still streaming belongs to the conversation being left
+                    stopGeneration();
+                    setActiveConversation(conversation.id);
+                    showActiveConversation();
+                }
+                break;
+
+            case 'rename': {
+                const title = window.prompt('Rename conversation', conversation.title);
+                if (title !== null) {
+                    renameConversation(conversation.id, title);
+                }
+                break;
+            }
+
+            case 'delete':
+                await handleDeleteConversation(conversation, showActiveConversation);
+                break;
+        }
+    });
+
+    onConversationsChanged(() => renderConversationList(conversationList));
+    renderConversationList(conversationList);
+}
+
+// Function to resume a conversation from an exported JSON transcript
+async function handleImportTranscript(file, chatMessages, showActiveConversation) {
+    let transcript;
+    try {
+        transcript = parseTranscript(await file.text());
+    } catch (error) {
+        console.error('Error importing transcript:', error);
+        addMessage(`Couldn't import ${file.name}. ${error.message}`, 'system', chatMessages);
+        return;
+    }
+
+    // The imported conversation becomes the active one, so end any response still streaming
+    stopGeneration();
+
+    // Untitled transcripts are named after their first question, like conversations started here
+    const firstQuestion = transcript.messages.find(entry => entry.role === 'user');
+    const title = transcript.title || (firstQuestion ? createTitleFromMessage(firstQuestion.content) : DEFAULT_CONVERSATION_TITLE);
+    const conversation = createConversation(title);
+    updateConversation(conversation.id, { history: transcript.messages });
+    showActiveConversation();
+
+    let notice = `Imported ${transcript.messages.length} messages. You can continue the conversation from here.`;
+    if (transcript.documentNames.length > 0) {
+        // Documents live on the server and are not part of the transcript
+        notice += ` The conversation was about ${transcript.documentNames.join(', ')}; upload them again to ask more about them.`;
+    }
+    addMessage(notice, 'system', chatMessages);
+    console.log(`Imported transcript ${file.name} into conversation ${conversation.id}`);
+}
+
+// Function to delete a conversation after confirmation
+async function handleDeleteConversation(conversation, showActiveConversation) {
+    if (!window.confirm(`Delete "${conversation.title}"? Its messages can't be recovered.`)) {
+        return;
+    }
+
+    const wasActive = conversation.id === getActiveConversation().id;
+    if (wasActive) {
+        stopGeneration();
+    }
+
+    // Remove the conversation's documents from the server as well
+    if (conversation.documents.length > 0) {
+        try {
+            await clearDocumentContext(conversation);
+        } catch (error) {
+            console.error('Error clearing document context for deleted conversation:', error);
+        }
+    }
+
+    deleteConversation(conversation.id);
+
+    if (wasActive) {
+        showActiveConversation();
+    }
+}
+
+// Function to draw the list of conversations
+function renderConversationList(conversationList) {
+    const activeConversation = getActiveConversation();
+    conversationList.replaceChildren();
+
+    getConversations().forEach(conversation => {
+        const item = document.createElement('li');
+        item.classList.add('conversation-item');
+        item.dataset.conversationId = conversation.id;
+        if (conversation.id === activeConversation.id) {
+            item.classList.add('active');
+        }
+
+        const switchButton = document.createElement('button');
+        switchButton.classList.add('conversation-title');
+        switchButton.dataset.action = 'switch';
+        switchButton.title = conversation.title;
+
+        const title = document.createElement('span');
+        title.classList.add('conversation-name');
+        title.textContent = conversation.title;
+        switchButton.appendChild(title);
+
+        const meta = document.createElement('span');
+        meta.classList.add('conversation-meta');
+        meta.textContent = new Date(conversation.updatedAt).toLocaleDateString();
+        if (conversation.documents.length === 1) {
+            meta.textContent += ` · ${conversation.documents[0].name}`;
+        } else if (conversation.documents.length > 1) {
+            meta.textContent += ` · ${conversation.documents.length} documents`;
+        }
+        switchButton.appendChild(meta);
+
+        item.appendChild(switchButton);
+        item.appendChild(createItemAction('rename', 'fa-pen', 'Rename Conversation'));
+        item.appendChild(createItemAction('delete', 'fa-trash-alt', 'Delete Conversation'));
+
+        conversationList.appendChild(item);
+    });
+}
+
+// Helper function to create an icon button for a conversation item
+function createItemAction(action, iconClass, title) {
+    const button = document.createElement('button');
+    button.classList.add('conversation-action');
+    button.dataset.action = action;
+    button.title = title;
+
+    const icon = document.createElement('i');
+    icon.classList.add('fas', iconClass);
+    button.appendChild(icon);
+
+    return button;
+}
+
+// Export functions
+export { initializeConversationSidebar };
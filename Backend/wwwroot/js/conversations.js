@@ -0,0 +1,247 @@
+/**
+ * Conversation management for the chat application
+ * Keeps several named conversations, each with its own history and document context
+ */
+
+import {
+    loadConversations,
+    saveConversation,
+    removeConversation,
+    saveActiveConversationId
+} from './storage.js';
+
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+// All conversations and the one currently shown in the chat
+let conversations = [];
+let activeConversationId = null;
+
+// Callbacks to run whenever the list or the active conversation changes
+const changeListeners = [];
+
+// Helper function to create a unique identifier with the given prefix
+function generateId(prefix) {
+    return prefix + '-' + Date.now() + '-' + Math.random().toString(36).substring(2, 15);
+}
+
+// Helper function to build a new, empty conversation
+function buildConversation(title = DEFAULT_CONVERSATION_TITLE) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId('conversation'),
+        title,
+        createdAt: now,
+        updatedAt: now,
+        history: [],
+        // Documents the model answers from: { id, name, size, uploadedAt }
+        documents: [],
+        // Each conversation gets its own client session ID so the server keeps its documents separately
+        sessionId: generateId('client')
+    };
+}
+
+// Helper function to fill in fields missing from a stored conversation
+function normalizeConversation(storedConversation) {
+    const conversation = { ...buildConversation(), ...storedConversation };
+
+    // Conversations migrated without a title are named after their first question
+    if (!conversation.title) {
+        const firstUserMessage = conversation.history.find(message => message.role === 'user');
+        conversation.title = firstUserMessage
+            ? createTitleFromMessage(firstUserMessage.content)
+            : DEFAULT_CONVERSATION_TITLE;
+    }
+
+    if (!conversation.sessionId) {
+        conversation.sessionId = generateId('client');
+    }
+
+    // Conversations saved before they could hold several documents kept a single one under their
+    // client session ID; it has no document ID of its own
+    if (!Array.isArray(storedConversation.documents)) {
+        conversation.documents = storedConversation.documentInContext && storedConversation.lastDocumentName
+            ? [{ id: null, name: storedConversation.lastDocumentName, size: null, uploadedAt: null }]
+            : [];
+    }
+    delete conversation.documentInContext;
+    delete conversation.lastDocumentName;
+
+    return conversation;
+}
+
+// Function to load saved conversations
+// Must finish before any other function in this module is used
+async function initializeConversations() {
+    try {
+        const storedState = await loadConversations();
+        conversations = storedState.conversations.map(storedConversation => {
+            const conversation = normalizeConversation(storedConversation);
+            if (conversation.title !== storedConversation.title ||
+                conversation.sessionId !== storedConversation.sessionId ||
+                !Array.isArray(storedConversation.documents)) {
+                persistConversation(conversation);
+            }
+            return conversation;
+        });
+        activeConversationId = storedState.activeConversationId;
+    } catch (error) {
+        // Keep working for this visit even if the browser refuses to store anything
+        console.warn('Failed to load saved conversations, starting fresh:', error);
+        conversations = [];
+    }
+
+    // Always have at least one conversation to chat in
+    if (conversations.length === 0) {
+        const conversation = buildConversation();
+        conversations.push(conversation);
+        persistConversation(conversation);
+    }
+
+    if (!conversations.some(conversation => conversation.id === activeConversationId)) {
+        activeConversationId = getConversations()[0].id;
+        persistActiveConversationId();
+    }
+
+    const activeConversation = getActiveConversation();
+    console.log(`Active conversation ${activeConversation.id}: ${activeConversation.documents.length} document(s) in context`);
+}
+
+// Helper function to save a conversation without blocking the UI
+function persistConversation(conversation) {
+    saveConversation(conversation).catch(error => {
+        console.warn(`Failed to save conversation ${conversation.id}:`, error);
+    });
+}
+
+// Helper function to save the active conversation ID without blocking the UI
+function persistActiveConversationId() {
+    saveActiveConversationId(activeConversationId).catch(error => {
+        console.warn('Failed to save the active conversation:', error);
+    });
+}
+
+// Helper function to notify listeners after a change
+function notifyChange() {
+    changeListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Conversation change listener failed:', error);
+        }
+    });
+}
+
+// Function to register a callback for conversation changes
+function onConversationsChanged(listener) {
+    changeListeners.push(listener);
+}
+
+// Function to get all conversations, most recently updated first
+function getConversations() {
+    return [...conversations].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Function to get a conversation by its ID
+function getConversation(id) {
+    return conversations.find(conversation => conversation.id === id) || null;
+}
+
+// Function to get the conversation currently shown in the chat
+function getActiveConversation() {
+    return getConversation(activeConversationId);
+}
+
+// Function to create a new conversation and make it active
+function createConversation(title = DEFAULT_CONVERSATION_TITLE) {
+    const conversation = buildConversation(title);
+    conversations.push(conversation);
+    activeConversationId = conversation.id;
+
+    persistConversation(conversation);
+    persistActiveConversationId();
+    notifyChange();
+    console.log(`Created conversation ${conversation.id}`);
+    return conversation;
+}
+
+// Function to switch the active conversation
+function setActiveConversation(id) {
+    if (!getConversation(id) || id === activeConversationId) return;
+
+    activeConversationId = id;
+    persistActiveConversationId();
+    notifyChange();
+    console.log(`Switched to conversation ${id}`);
+}
+
+// Function to update fields of a conversation
+// Only history changes move a conversation up the list
+function updateConversation(id, changes) {
+    const conversation = getConversation(id);
+    if (!conversation) return null;
+
+    Object.assign(conversation, changes);
+    if ('history' in changes) {
+        conversation.updatedAt = new Date().toISOString();
+    }
+    persistConversation(conversation);
+    notifyChange();
+    return conversation;
+}
+
+// Function to rename a conversation
+function renameConversation(id, title) {
+    const trimmedTitle = (title || '').trim();
+    if (!trimmedTitle) return null;
+
+    return updateConversation(id, { title: trimmedTitle, renamed: true });
+}
+
+// Function to delete a conversation
+// Returns the deleted conversation so callers can clean up its server-side document
+function deleteConversation(id) {
+    const conversation = getConversation(id);
+    if (!conversation) return null;
+
+    conversations = conversations.filter(item => item.id !== id);
+    removeConversation(id).catch(error => {
+        console.warn(`Failed to delete conversation ${id} from storage:`, error);
+    });
+
+    if (conversations.length === 0) {
+        const replacement = buildConversation();
+        conversations.push(replacement);
+        persistConversation(replacement);
+    }
+
+    if (activeConversationId === id) {
+        activeConversationId = getConversations()[0].id;
+        persistActiveConversationId();
+    }
+
+    notifyChange();
+    console.log(`Deleted conversation ${id}`);
+    return conversation;
+}
+
+// Helper function to derive a conversation title from its first message
+function createTitleFromMessage(message) {
+    const singleLine = message.replace(/\s+/g, ' ').trim();
+    return singleLine.length > 40 ? singleLine.substring(0, 40) + '…' : singleLine;
+}
+
+// Export conversation functions
+export {
+    DEFAULT_CONVERSATION_TITLE,
+    initializeConversations,
+    onConversationsChanged,
+    getConversations,
+    getConversation,
+    getActiveConversation,
+    createConversation,
+    setActiveConversation,
+    updateConversation,
+    renameConversation,
+    deleteConversation,
+    createTitleFromMessage
+};
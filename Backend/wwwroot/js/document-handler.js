@@ -2,31 +2,57 @@
  * Document handling functionality for the chat application
  */
 
-import { addMessage } from './ui.js';
-import { clearDocumentContext, updateUIDocumentState } from './api.js';
+import { addMessage, formatFileSize, showUploadProgress, updateUploadProgress, hideUploadProgress } from './ui.js';
+import { clearDocumentContext, removeDocument, uploadDocument, isAbortError, updateUIDocumentState } from './api.js';
+import { getActiveConversation } from './conversations.js';
+import { UploadInterruptedError } from './upload.js';
+import { describeError } from './errors.js';
 
-// Initialize document context state
-let documentContextActive = false;
+// File types and size the server accepts, checked before uploading so bad files fail fast
+const ALLOWED_FILE_EXTENSIONS = ['.pdf', '.docx', '.xlsx'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // Matches the server's 50 MB request limit
+
+// How long an upload error stays next to the upload button
+const UPLOAD_ERROR_DURATION = 8000;
+
+// Initialize document attachment state
 let currentFile = null;
 let currentFileName = null;
+let uploadErrorTimer = null;
+
+// The document being uploaded and processed, if any, and the controller that cancels it
+let documentUpload = null;
+let documentUploadController = null;
 
 // Function to handle file selection
 function handleFileSelection(file, uploadButton, fileInput, chatMessages, userInput) {
     if (!file) return;
     
-    // Store the file for the next message
-    currentFile = file;
-    currentFileName = file.name;
+    // Documents are processed one at a time
+    if (documentUpload) {
+        showUploadError(`Please wait until ${currentFileName} has been processed before adding another document.`);
+        fileInput.value = '';
+        return;
+    }
     
-    // Store file name in localStorage for persistence
-    localStorage.setItem('lastDocumentName', file.name);
+    // Reject files the server would refuse before they are uploaded
+    const validationError = validateFile(file);
+    if (validationError) {
+        console.warn(`Rejected file ${file.name}: ${validationError}`);
+        showUploadError(validationError);
+        // Clear the picker so choosing the same file again still fires a change event
+        fileInput.value = '';
+        return;
+    }
+    clearUploadError();
     
-    // Create file upload indicator
-    createFileUploadIndicator(file, chatMessages, uploadButton, fileInput, userInput);
+    // Keep track of the file while it is uploaded and processed
+    currentFile = file;
+    currentFileName = file.name;
     
-    // Update UI to show a file is attached
+    // Update UI to show a file is being processed
     uploadButton.classList.add('active');
-    uploadButton.setAttribute('title', `File attached: ${file.name}`);
+    uploadButton.setAttribute('title', `Processing file: ${file.name}`);
     
     // Add file indicator badge to the upload button
     if (!uploadButton.querySelector('.file-indicator-badge')) {
@@ -42,34 +68,193 @@ function handleFileSelection(file, uploadButton, fileInput, chatMessages, userIn
         chatInputContainer.classList.add('with-file');
     }
     
-    // Update document status indicator
-    updateUIDocumentState();
+    // Process the document straight away, so questions can be typed while it uploads
+    documentUpload = uploadSelectedDocument(file, uploadButton, fileInput, chatMessages, userInput);
     
     // Focus on the message input
     userInput.focus();
 }
 
-// Function to create a visual file upload indicator in the header
-function createFileUploadIndicator(file, chatMessages, uploadButton, fileInput, userInput) {
-    // Update the document status indicator in the header instead of adding to chat
-    const documentStatus = document.getElementById('document-status');
-    if (documentStatus) {
-        documentStatus.style.display = 'inline-block';
-        documentStatus.innerHTML = `<i class="fas fa-file-alt"></i> ${file.name}`;
-        documentStatus.setAttribute('title', `Document loaded: ${file.name} (${formatFileSize(file.size)})`);
+// Function to upload a selected document on its own and say when it is ready to be asked about
+async function uploadSelectedDocument(file, uploadButton, fileInput, chatMessages, userInput) {
+    const controller = new AbortController();
+    documentUploadController = controller;
+    
+    // Show how far the upload has got in the document status area, with a button that cancels it
+    showUploadProgress(file.name, () => controller.abort());
+    
+    try {
+        const doc = await uploadDocument(file, { signal: controller.signal, onProgress: updateUploadProgress });
+        if (doc.waiting) {
+            // This server reads a document only together with a question
+            addMessage(`${doc.name} will be sent with your next message. Ask me anything about it.`, 'system', chatMessages, userInput);
+        } else {
+            addMessage(`${doc.name} has been added to this conversation. Ask me anything about it.`, 'system', chatMessages, userInput);
+        }
+    } catch (error) {
+        if (isAbortError(error)) {
+            addMessage(`Stopped adding ${file.name}.`, 'system', chatMessages, userInput);
+            console.log('Document upload cancelled by user');
+        } else if (error instanceof UploadInterruptedError) {
+            addMessage(error.message, 'system', chatMessages, userInput);
+            console.warn('Upload interrupted:', error);
+        } else {
+            addMessage(`${file.name} couldn't be added. ${describeError(error)}`, 'system', chatMessages, userInput);
+            console.error('Error:', error);
+        }
+    } finally {
+        documentUpload = null;
+        documentUploadController = null;
+        hideUploadProgress();
+        resetFileAttachment(uploadButton, fileInput);
+    }
+}
+
+// Function to wait for the document being processed, if any, so a message can use it
+// Resolves either way; a failed upload has already been reported in the chat
+function waitForDocumentUpload() {
+    return documentUpload || Promise.resolve();
+}
+
+// Function to cancel the document being uploaded and processed, if any
+function cancelDocumentUpload() {
+    if (documentUploadController) {
+        console.log('Cancelling document upload');
+        documentUploadController.abort();
+    }
+}
+
+// Function to check a file against the types and size the server accepts
+// Returns a message explaining the problem, or null if the file can be uploaded
+function validateFile(file) {
+    const dotIndex = file.name.lastIndexOf('.');
+    const extension = dotIndex > 0 ? file.name.substring(dotIndex).toLowerCase() : '';
+    
+    if (!ALLOWED_FILE_EXTENSIONS.includes(extension)) {
+        const fileType = extension ? `${extension} files` : 'Files without an extension';
+        return `${fileType} can't be uploaded. Please choose a PDF (.pdf), Word (.docx) or Excel (.xlsx) file.`;
+    }
+    
+    if (file.size === 0) {
+        return `${file.name} is empty. Please choose a file that has content.`;
+    }
+    
+    if (file.size > MAX_FILE_SIZE) {
+        return `${file.name} is ${formatFileSize(file.size)}. Files must be ${formatFileSize(MAX_FILE_SIZE)} or smaller.`;
+    }
+    
+    return null;
+}
+
+// Function to show why a file was rejected next to the upload button
+function showUploadError(message) {
+    const uploadError = document.getElementById('uploadError');
+    if (!uploadError) return;
+    
+    uploadError.textContent = message;
+    uploadError.hidden = false;
+    
+    clearTimeout(uploadErrorTimer);
+    uploadErrorTimer = setTimeout(clearUploadError, UPLOAD_ERROR_DURATION);
+}
+
+// Function to hide the upload error
+function clearUploadError() {
+    clearTimeout(uploadErrorTimer);
+    uploadErrorTimer = null;
+    
+    const uploadError = document.getElementById('uploadError');
+    if (uploadError) {
+        uploadError.hidden = true;
+        uploadError.textContent = '';
     }
+}
+
+// Function to let documents be dropped onto the chat or pasted into the message box
+// Both go through handleFileSelection just like files picked with the upload button
+function initializeFileDropAndPaste(chatMessages, userInput, uploadButton, fileInput) {
+    const dropZoneOverlay = document.getElementById('dropZoneOverlay');
+    // dragenter and dragleave fire for every child element, so count them to know when the drag really leaves
+    let dragDepth = 0;
+    
+    const hideDropZone = () => {
+        dragDepth = 0;
+        if (dropZoneOverlay) {
+            dropZoneOverlay.hidden = true;
+        }
+    };
+    
+    chatMessages.addEventListener('dragenter', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        
+        if (dropZoneOverlay && dropZoneOverlay.hidden) {
+            // Cover just the message area, which scrolls, rather than placing the overlay inside it
+            dropZoneOverlay.style.top = `${chatMessages.offsetTop}px`;
+            dropZoneOverlay.style.height = `${chatMessages.offsetHeight}px`;
+            dropZoneOverlay.hidden = false;
+        }
+    });
+    
+    chatMessages.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e)) return;
+        // Required for the browser to allow dropping here
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    
+    chatMessages.addEventListener('dragleave', (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            hideDropZone();
+        }
+    });
+    
+    chatMessages.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        hideDropZone();
+        addFirstFile([...e.dataTransfer.files], uploadButton, fileInput, chatMessages, userInput);
+    });
+    
+    // A file dropped just outside the chat would otherwise be opened by the browser, leaving the app
+    document.addEventListener('dragover', (e) => {
+        if (isFileDrag(e)) e.preventDefault();
+    });
+    document.addEventListener('drop', (e) => {
+        if (isFileDrag(e)) {
+            e.preventDefault();
+            hideDropZone();
+        }
+    });
     
-    // Scroll to make the indicator visible
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    // Pasted files are added to the conversation; pasted text is left to the textarea as usual
+    userInput.addEventListener('paste', (e) => {
+        const files = e.clipboardData ? [...e.clipboardData.files] : [];
+        if (files.length === 0) return;
+        
+        e.preventDefault();
+        addFirstFile(files, uploadButton, fileInput, chatMessages, userInput);
+    });
+}
+
+// Helper function to check whether a drag event is carrying files rather than text or links
+function isFileDrag(e) {
+    return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
 }
 
-// Helper function to format file size
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Helper function to add a dropped or pasted file to the conversation's documents
+// Files are uploaded one at a time, so any others are skipped with a note
+function addFirstFile(files, uploadButton, fileInput, chatMessages, userInput) {
+    if (files.length === 0) return;
+    
+    if (files.length > 1) {
+        addMessage(`Only one document can be added at a time, so only ${files[0].name} was added to this conversation.`, 'system', chatMessages, userInput);
+    }
+    
+    handleFileSelection(files[0], uploadButton, fileInput, chatMessages, userInput);
 }
 
 // Function to reset file attachment
@@ -77,9 +262,8 @@ function resetFileAttachment(uploadButton, fileInput) {
     currentFile = null;
     currentFileName = null;
     
-    // Clear file name from localStorage but don't clear documentInContext
+    // Don't touch the conversation's document context here
     // as that should be managed by server interactions
-    localStorage.removeItem('lastDocumentName');
     
     uploadButton.classList.remove('active');
     uploadButton.setAttribute('title', 'Upload Document');
@@ -119,11 +303,7 @@ async function handleClearDocumentContext(clearDocumentButton, chatMessages, use
         // Call the clear document context API
         await clearDocumentContext();
         
-        // Update UI to show document context is cleared
-        documentContextActive = false;
-        
-        // Update document status UI
-        // Note: This is now handled by clearDocumentContext() API function
+        // The document status UI is updated by clearDocumentContext()
         
         // Add system message to chat
         addMessage("Document context has been cleared. I'm no longer using any document for context.", 'system', chatMessages, userInput);
@@ -137,24 +317,46 @@ async function handleClearDocumentContext(clearDocumentButton, chatMessages, use
 // Function to update document context UI
 // Note: This functionality has been moved to api.js updateUIDocumentState
 
-// Function to set document context active
-function setDocumentContextActive(isActive) {
-    documentContextActive = isActive;
+// Function to set up the remove buttons in the document panel
+function initializeDocumentPanel(chatMessages, userInput) {
+    const documentList = document.getElementById('documentList');
+    if (!documentList) return;
     
-    // Update localStorage
-    localStorage.setItem('documentInContext', isActive ? 'true' : 'false');
+    documentList.addEventListener('click', async (e) => {
+        const removeButton = e.target.closest('[data-action="remove-document"]');
+        if (!removeButton) return;
+        
+        const item = removeButton.closest('.document-item');
+        removeButton.disabled = true;
+        await handleRemoveDocument(item.dataset.documentId || null, chatMessages, userInput);
+        removeButton.disabled = false;
+    });
+}
+
+// Function to remove one document from the active conversation
+async function handleRemoveDocument(documentId, chatMessages, userInput) {
+    const doc = getActiveConversation().documents.find(entry => entry.id === documentId);
+    if (!doc) return;
     
-    // Update the UI
-    updateUIDocumentState();
+    try {
+        await removeDocument(documentId);
+        addMessage(`Removed ${doc.name} from this conversation. I'll no longer use it for context.`, 'system', chatMessages, userInput);
+    } catch (error) {
+        console.error('Error:', error);
+        addMessage(`Sorry, there was an error removing ${doc.name}.`, 'system', chatMessages, userInput);
+    }
 }
 
 // Export functions and state
 export { 
     handleFileSelection, 
+    validateFile, 
+    waitForDocumentUpload, 
+    cancelDocumentUpload, 
+    initializeFileDropAndPaste, 
     resetFileAttachment, 
     handleClearDocumentContext, 
-    setDocumentContextActive,
-    createFileUploadIndicator,
+    initializeDocumentPanel,
     formatFileSize,
     currentFile,
     currentFileName
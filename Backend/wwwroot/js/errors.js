@@ -0,0 +1,183 @@
+/**
+ * Error types for the chat application's API calls
+ * Each kind of failure has its own class so the user can be told what to do about it
+ */
+
+// Base class for failed API calls; status is the HTTP status, or null when no response arrived
+// retryAfter is the number of seconds the server asked to wait before trying again, if it said
+class ApiError extends Error {
+    constructor(message, status = null, retryAfter = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The server couldn't be reached, or the connection dropped mid-response
+class NetworkError extends ApiError {
+    constructor(message = 'Could not reach the server.') {
+        super(message, null);
+        this.name = 'NetworkError';
+    }
+}
+
+// The user isn't signed in, or isn't allowed to do this (401 and 403)
+class AuthError extends ApiError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'AuthError';
+    }
+}
+
+// The server rejected the request itself, such as an unsupported or oversized file (other 4xx)
+class ValidationError extends ApiError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'ValidationError';
+    }
+}
+
+// Too many requests (429)
+class RateLimitError extends ApiError {
+    constructor(message, retryAfter = null) {
+        super(message, 429, retryAfter);
+        this.name = 'RateLimitError';
+    }
+}
+
+// The server failed while handling the request (5xx); a 503 may say how long to wait with retryAfter
+class ServerError extends ApiError {
+    constructor(message, status, retryAfter = null) {
+        super(message, status, retryAfter);
+        this.name = 'ServerError';
+    }
+}
+
+// Messages used when the server's response doesn't explain the failure
+const DEFAULT_ERROR_MESSAGES = {
+    401: 'You need to sign in again.',
+    403: "You don't have permission to do that.",
+    404: 'The server could not find what was requested.',
+    413: 'The file is too large for the server to accept.',
+    415: 'The server does not accept this type of file.',
+    429: 'Too many requests have been sent.'
+};
+
+// Helper function to pull the server's explanation out of an error response body
+// Handles { error }, ASP.NET problem details, plain strings and plain text; returns null for anything else
+function parseErrorBody(text) {
+    if (!text) return null;
+
+    try {
+        const data = JSON.parse(text);
+        if (typeof data === 'string') return data;
+        if (data && typeof data.error === 'string') return data.error;
+        if (data && typeof data.message === 'string') return data.message;
+        if (data && data.errors && typeof data.errors === 'object') {
+            // Model validation lists its messages per field
+            const messages = Object.values(data.errors).flat().filter(message => typeof message === 'string');
+            if (messages.length > 0) return messages.join(' ');
+        }
+        if (data && typeof data.detail === 'string') return data.detail;
+        if (data && typeof data.title === 'string') return data.title;
+        return null;
+    } catch (error) {
+        // Not JSON; error pages from the web server are HTML and not worth showing
+        const trimmed = text.trim();
+        return trimmed.startsWith('<') ? null : trimmed;
+    }
+}
+
+// Helper function to read a Retry-After header, given in seconds or as a date, as a number of seconds
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Function to create the error matching an HTTP status
+function createErrorFromStatus(status, message, retryAfter = null) {
+    const errorMessage = message || DEFAULT_ERROR_MESSAGES[status] || `The request failed with status ${status}.`;
+
+    if (status === 401 || status === 403) return new AuthError(errorMessage, status);
+    if (status === 429) return new RateLimitError(errorMessage, retryAfter);
+    if (status >= 400 && status < 500) return new ValidationError(errorMessage, status);
+    return new ServerError(errorMessage, status, retryAfter);
+}
+
+// Function to create the error for a failed response, using the explanation in its body if there is one
+async function createErrorFromResponse(response) {
+    let text = '';
+    try {
+        text = await response.text();
+    } catch (error) {
+        // The body couldn't be read; the status still says what kind of failure it was
+    }
+
+    const retryAfter = response.headers ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+    const error = createErrorFromStatus(response.status, parseErrorBody(text), retryAfter);
+    console.error(`API error ${response.status}:`, text || response.statusText);
+    return error;
+}
+
+// Function to turn a failed fetch into a NetworkError, leaving cancellations as they are
+function toNetworkError(error) {
+    if (error && error.name === 'AbortError') return error;
+    if (error instanceof ApiError) return error;
+
+    console.error('Network error:', error);
+    return new NetworkError();
+}
+
+// Function to call fetch, reporting a failure to reach the server as a NetworkError
+async function fetchWithNetworkErrors(url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        throw toNetworkError(error);
+    }
+}
+
+// Function to describe an error to the user, with what they can do about it
+function describeError(error) {
+    if (error instanceof NetworkError) {
+        return "I couldn't reach the server. Please check your internet connection and try again.";
+    }
+    if (error instanceof AuthError) {
+        return error.status === 403
+            ? "You don't have access to do that. If you think you should, sign out and sign in with another account."
+            : 'Your session has expired. Please sign in again and then retry.';
+    }
+    if (error instanceof RateLimitError) {
+        return error.retryAfter
+            ? `Too many requests are being made right now. Please wait ${error.retryAfter} seconds and try again.`
+            : 'Too many requests are being made right now. Please wait a moment and try again.';
+    }
+    if (error instanceof ValidationError) {
+        return `The request couldn't be processed: ${error.message}`;
+    }
+    if (error instanceof ServerError) {
+        return 'Something went wrong on the server. Please try again in a moment.';
+    }
+    return 'Sorry, there was an error processing your request. Please try again later.';
+}
+
+// Export error types and helpers
+export {
+    ApiError,
+    NetworkError,
+    AuthError,
+    ValidationError,
+    RateLimitError,
+    ServerError,
+    createErrorFromStatus,
+    createErrorFromResponse,
+    toNetworkError,
+    fetchWithNetworkErrors,
+    describeError
+};
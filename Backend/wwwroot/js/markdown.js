@@ -0,0 +1,402 @@
+/**
+ * Markdown rendering for bot and system messages
+ * Builds DOM nodes directly and never assigns innerHTML, so model output is always treated as text
+ */
+
+// Link protocols that may be rendered as clickable links
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Block-level patterns
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE_PATTERN = /^\s{0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Function to render Markdown text into a container element
+function renderMarkdown(markdown, container) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    appendBlocks(lines, container);
+}
+
+// Function to render a list of lines as block elements
+function appendBlocks(lines, container) {
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            index++;
+            continue;
+        }
+
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            index = appendCodeBlock(lines, index, fenceMatch, container);
+            continue;
+        }
+
+        const headingMatch = line.match(HEADING_PATTERN);
+        if (headingMatch) {
+            const heading = document.createElement(`h${headingMatch[1].length}`);
+            appendInline(headingMatch[2], heading);
+            container.appendChild(heading);
+            index++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            container.appendChild(document.createElement('hr'));
+            index++;
+            continue;
+        }
+
+        if (BLOCKQUOTE_PATTERN.test(line)) {
+            index = appendBlockquote(lines, index, container);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            index = appendList(lines, index, container);
+            continue;
+        }
+
+        if (isTableStart(lines, index)) {
+            index = appendTable(lines, index, container);
+            continue;
+        }
+
+        index = appendParagraph(lines, index, container);
+    }
+}
+
+// Helper function to check whether a line starts a block other than a paragraph
+function startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        RULE_PATTERN.test(line) ||
+        BLOCKQUOTE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        isTableStart(lines, index);
+}
+
+// Function to render a fenced code block
+// An unclosed fence runs to the end of the text, which keeps partially streamed code readable
+function appendCodeBlock(lines, index, fenceMatch, container) {
+    const fence = fenceMatch[1];
+    const closingFence = new RegExp(`^\\s{0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+    const codeLines = [];
+
+    index++;
+    while (index < lines.length && !closingFence.test(lines[index])) {
+        codeLines.push(lines[index]);
+        index++;
+    }
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    if (fenceMatch[2]) {
+        code.classList.add(`language-${fenceMatch[2].toLowerCase()}`);
+    }
+    code.textContent = codeLines.join('\n');
+    pre.appendChild(code);
+    container.appendChild(pre);
+
+    // Skip the closing fence
+    return index + 1;
+}
+
+// Function to render consecutive quoted lines as a blockquote
+function appendBlockquote(lines, index, container) {
+    const quotedLines = [];
+
+    while (index < lines.length && BLOCKQUOTE_PATTERN.test(lines[index])) {
+        quotedLines.push(lines[index].replace(BLOCKQUOTE_PATTERN, ''));
+        index++;
+    }
+
+    const blockquote = document.createElement('blockquote');
+    appendBlocks(quotedLines, blockquote);
+    container.appendChild(blockquote);
+    return index;
+}
+
+// Function to render a bulleted or numbered list, including nested lists
+function appendList(lines, index, container) {
+    const firstMatch = lines[index].match(LIST_ITEM_PATTERN);
+    const baseIndent = firstMatch[1].length;
+    const ordered = /\d/.test(firstMatch[2]);
+
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(firstMatch[2], 10) !== 1) {
+        list.start = parseInt(firstMatch[2], 10);
+    }
+
+    while (index < lines.length) {
+        const itemMatch = lines[index].match(LIST_ITEM_PATTERN);
+        if (!itemMatch || itemMatch[1].length !== baseIndent || /\d/.test(itemMatch[2]) !== ordered) {
+            break;
+        }
+
+        // Lines indented past the marker belong to this item
+        const contentIndent = itemMatch[1].length + itemMatch[2].length + 1;
+        const itemLines = [itemMatch[3]];
+        index++;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const indent = line.length - line.trimStart().length;
+
+            if (line.trim() === '') {
+                // A blank line ends the item unless indented content follows
+                const nextLine = lines[index + 1];
+                if (nextLine !== undefined && nextLine.trim() !== '' && nextLine.length - nextLine.trimStart().length > baseIndent) {
+                    itemLines.push('');
+                    index++;
+                    continue;
+                }
+                break;
+            }
+
+            if (indent > baseIndent) {
+                itemLines.push(line.replace(new RegExp(`^ {0,${contentIndent}}`), ''));
+                index++;
+                continue;
+            }
+
+            // Unindented text directly after an item continues its paragraph
+            if (!startsBlock(lines, index) && itemLines[itemLines.length - 1] !== '') {
+                itemLines.push(line.trim());
+                index++;
+                continue;
+            }
+
+            break;
+        }
+
+        const listItem = document.createElement('li');
+        if (itemLines.length === 1) {
+            appendInline(itemLines[0], listItem);
+        } else {
+            appendBlocks(itemLines, listItem);
+        }
+        list.appendChild(listItem);
+
+        // Blank lines between items keep the list going
+        while (index < lines.length && lines[index].trim() === '' && isListItemAt(lines, index + 1, baseIndent, ordered)) {
+            index++;
+        }
+    }
+
+    container.appendChild(list);
+    return index;
+}
+
+// Helper function to check whether a line is an item of the same list
+function isListItemAt(lines, index, indent, ordered) {
+    const match = index < lines.length && lines[index].match(LIST_ITEM_PATTERN);
+    return Boolean(match) && match[1].length === indent && /\d/.test(match[2]) === ordered;
+}
+
+// Helper function to check whether a table header and separator row start at this line
+function isTableStart(lines, index) {
+    return lines[index].includes('|') &&
+        index + 1 < lines.length &&
+        lines[index + 1].includes('-') &&
+        TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+}
+
+// Helper function to split a table row into cell texts
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Function to render a table with its header, alignment and body rows
+function appendTable(lines, index, container) {
+    const headerCells = splitTableRow(lines[index]);
+    const alignments = splitTableRow(lines[index + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    index += 2;
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.appendChild(createTableRow(headerCells, alignments, 'th'));
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    while (index < lines.length && lines[index].trim() !== '' && lines[index].includes('|')) {
+        tbody.appendChild(createTableRow(splitTableRow(lines[index]), alignments, 'td'));
+        index++;
+    }
+    table.appendChild(tbody);
+
+    // Wide tables scroll inside the message instead of stretching it
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('table-wrapper');
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+    return index;
+}
+
+// Helper function to create one table row, padding or trimming it to the header's width
+function createTableRow(cells, alignments, cellTag) {
+    const row = document.createElement('tr');
+
+    alignments.forEach((alignment, column) => {
+        const cell = document.createElement(cellTag);
+        if (alignment) {
+            cell.style.textAlign = alignment;
+        }
+        appendInline(cells[column] || '', cell);
+        row.appendChild(cell);
+    });
+
+    return row;
+}
+
+// Function to render consecutive text lines as one paragraph with line breaks
+function appendParagraph(lines, index, container) {
+    const paragraph = document.createElement('p');
+    let firstLine = true;
+
+    while (index < lines.length && lines[index].trim() !== '' && (firstLine || !startsBlock(lines, index))) {
+        if (!firstLine) {
+            paragraph.appendChild(document.createElement('br'));
+        }
+        appendInline(lines[index].trim(), paragraph);
+        firstLine = false;
+        index++;
+    }
+
+    container.appendChild(paragraph);
+    return index;
+}
+
+// Function to render inline formatting: code, emphasis, links and line text
+function appendInline(text, parent, allowLinks = true) {
+    let buffer = '';
+    let index = 0;
+
+    const flushText = () => {
+        if (buffer) {
+            parent.appendChild(document.createTextNode(buffer));
+            buffer = '';
+        }
+    };
+
+    const appendElement = (tagName, innerText, raw = false) => {
+        flushText();
+        const element = document.createElement(tagName);
+        if (raw) {
+            element.textContent = innerText;
+        } else {
+            appendInline(innerText, element, allowLinks);
+        }
+        parent.appendChild(element);
+        return element;
+    };
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const previousChar = index > 0 ? text[index - 1] : '';
+        let match;
+
+        // Backslash escapes show the next punctuation character as-is
+        if ((match = rest.match(/^\\([\\`*_{}[\]()#+\-.!|~>])/))) {
+            buffer += match[1];
+            index += match[0].length;
+            continue;
+        }
+
+        // Code spans are never formatted further
+        if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+            appendElement('code', match[2].trim(), true);
+            index += match[0].length;
+            continue;
+        }
+
+        if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/)) && !(match[1] === '__' && /\w/.test(previousChar))) {
+            appendElement('strong', match[2]);
+            index += match[0].length;
+            continue;
+        }
+
+        if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+            appendElement('del', match[1]);
+            index += match[0].length;
+            continue;
+        }
+
+        // Underscores inside words (snake_case) are not emphasis
+        if ((match = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/)) ||
+            (!/\w/.test(previousChar) && (match = rest.match(/^_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/)))) {
+            appendElement('em', match[1]);
+            index += match[0].length;
+            continue;
+        }
+
+        if (allowLinks && (match = rest.match(/^\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/))) {
+            flushText();
+            parent.appendChild(createLink(match[2], match[1]));
+            index += match[0].length;
+            continue;
+        }
+
+        // Bare web addresses become links, without the punctuation that usually ends a sentence
+        if (allowLinks && !/\w/.test(previousChar) && (match = rest.match(/^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/))) {
+            flushText();
+            parent.appendChild(createLink(match[0], match[0], true));
+            index += match[0].length;
+            continue;
+        }
+
+        buffer += text[index];
+        index++;
+    }
+
+    flushText();
+}
+
+// Function to create a link, or plain text when the URL isn't safe to open
+function createLink(url, label, rawLabel = false) {
+    const safeUrl = getSafeUrl(url);
+    const element = document.createElement(safeUrl ? 'a' : 'span');
+
+    if (rawLabel) {
+        element.textContent = label;
+    } else {
+        appendInline(label, element, false);
+    }
+
+    if (safeUrl) {
+        element.href = safeUrl;
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer';
+    }
+
+    return element;
+}
+
+// Helper function to return a URL only if it uses an allowed protocol
+function getSafeUrl(url) {
+    try {
+        const parsedUrl = new URL(url, window.location.href);
+        return SAFE_URL_PROTOCOLS.includes(parsedUrl.protocol) ? parsedUrl.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Export functions
+export { renderMarkdown, getSafeUrl };
@@ -0,0 +1,172 @@
+/**
+ * Outbox for the chat application
+ * Tracks whether the browser is online and keeps messages written while offline until they can be sent
+ */
+
+import {
+    loadQueuedMessages,
+    saveQueuedMessage,
+    removeQueuedMessage as deleteQueuedMessage
+} from './storage.js';
+
+// Queued messages, oldest first: { id, conversationId, message, queuedAt, status, error }
+// status is 'pending' until sent, 'sending' while being sent and 'failed' if the server refused it
+let queuedMessages = [];
+
+// Whether the browser currently has a network connection
+let online = navigator.onLine;
+
+// Callbacks to run whenever the connection or the queue changes
+const changeListeners = [];
+
+// Helper function to create a unique identifier for a queued message
+function generateQueuedMessageId() {
+    return 'queued-' + Date.now() + '-' + Math.random().toString(36).substring(2, 15);
+}
+
+// Function to load queued messages and start watching the connection
+// Must finish before any other function in this module is used
+async function initializeOutbox() {
+    try {
+        queuedMessages = await loadQueuedMessages();
+    } catch (error) {
+        console.warn('Failed to load queued messages:', error);
+        queuedMessages = [];
+    }
+
+    // Messages that were being sent when the page closed never got an answer, so send them again
+    queuedMessages.forEach(queuedMessage => {
+        if (queuedMessage.status === 'sending') {
+            queuedMessage.status = 'pending';
+            persistQueuedMessage(queuedMessage);
+        }
+    });
+
+    window.addEventListener('online', () => setOnline(true));
+    window.addEventListener('offline', () => setOnline(false));
+
+    console.log(`Outbox loaded: ${queuedMessages.length} queued message(s), ${online ? 'online' : 'offline'}`);
+}
+
+// Helper function to record a change in the connection
+function setOnline(isOnline) {
+    if (online === isOnline) return;
+
+    online = isOnline;
+    console.log(`Connection ${online ? 'restored' : 'lost'}`);
+    notifyChange();
+}
+
+// Helper function to save a queued message without blocking the UI
+function persistQueuedMessage(queuedMessage) {
+    saveQueuedMessage(queuedMessage).catch(error => {
+        console.warn(`Failed to save queued message ${queuedMessage.id}:`, error);
+    });
+}
+
+// Helper function to notify listeners after a change
+function notifyChange() {
+    changeListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Outbox change listener failed:', error);
+        }
+    });
+}
+
+// Function to register a callback for connection and queue changes
+function onOutboxChanged(listener) {
+    changeListeners.push(listener);
+}
+
+// Function to check whether the browser has a network connection
+function isOnline() {
+    return online;
+}
+
+// Function to get queued messages in the order they were written, optionally for one conversation only
+function getQueuedMessages(conversationId = null) {
+    return queuedMessages.filter(queuedMessage => !conversationId || queuedMessage.conversationId === conversationId);
+}
+
+// Function to get the oldest message still waiting to be sent, or null if there is none
+function getNextQueuedMessage() {
+    return queuedMessages.find(queuedMessage => queuedMessage.status === 'pending') || null;
+}
+
+// Function to count the messages still waiting to be sent, including one being sent now
+function getPendingMessageCount() {
+    return queuedMessages.filter(queuedMessage => queuedMessage.status !== 'failed').length;
+}
+
+// Function to queue a message for a conversation
+// Pass queuedAt for a message written earlier, such as one whose request lost its connection,
+// so it goes ahead of messages written after it
+// Returns the queued message
+function queueMessage(conversationId, message, { queuedAt = null } = {}) {
+    const queuedMessage = {
+        id: generateQueuedMessageId(),
+        conversationId,
+        message,
+        queuedAt: queuedAt || new Date().toISOString(),
+        status: 'pending',
+        error: null
+    };
+
+    const laterIndex = queuedMessages.findIndex(item => item.queuedAt > queuedMessage.queuedAt);
+    if (laterIndex === -1) {
+        queuedMessages.push(queuedMessage);
+    } else {
+        queuedMessages.splice(laterIndex, 0, queuedMessage);
+    }
+    persistQueuedMessage(queuedMessage);
+    notifyChange();
+
+    console.log(`Queued message ${queuedMessage.id} for conversation ${conversationId}`);
+    return queuedMessage;
+}
+
+// Function to change a queued message's status, with the reason when it failed
+function setQueuedMessageStatus(id, status, error = null) {
+    const queuedMessage = queuedMessages.find(item => item.id === id);
+    if (!queuedMessage) return;
+
+    queuedMessage.status = status;
+    queuedMessage.error = error;
+    persistQueuedMessage(queuedMessage);
+    notifyChange();
+}
+
+// Function to try a failed message again, after everything already waiting
+function requeueMessage(id) {
+    const queuedMessage = queuedMessages.find(item => item.id === id);
+    if (!queuedMessage) return;
+
+    queuedMessages = [...queuedMessages.filter(item => item.id !== id), queuedMessage];
+    queuedMessage.queuedAt = new Date().toISOString();
+    setQueuedMessageStatus(id, 'pending');
+}
+
+// Function to remove a message from the queue once it has been sent or discarded
+function removeQueuedMessage(id) {
+    queuedMessages = queuedMessages.filter(queuedMessage => queuedMessage.id !== id);
+    deleteQueuedMessage(id).catch(error => {
+        console.warn(`Failed to delete queued message ${id} from storage:`, error);
+    });
+    notifyChange();
+}
+
+// Export outbox functions
+export {
+    initializeOutbox,
+    onOutboxChanged,
+    isOnline,
+    getQueuedMessages,
+    getNextQueuedMessage,
+    getPendingMessageCount,
+    queueMessage,
+    setQueuedMessageStatus,
+    requeueMessage,
+    removeQueuedMessage
+};
@@ -0,0 +1,93 @@
+/**
+ * Retry policy for the chat application's API calls
+ * Retries transient failures with exponential backoff and jitter, waiting as long as Retry-After asks
+ */
+
+import { NetworkError, RateLimitError, ServerError } from './errors.js';
+
+// Defaults for retried requests; callers can override any of them with a retry option
+// maxAttempts counts the first try, so 3 means up to two retries
+const DEFAULT_RETRY_OPTIONS = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+// Server statuses that usually clear up on their own, such as the model being overloaded
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+// Function to check whether a failed request is worth trying again
+function isTransientError(error) {
+    return error instanceof NetworkError
+        || error instanceof RateLimitError
+        || (error instanceof ServerError && TRANSIENT_STATUSES.includes(error.status));
+}
+
+// Function to work out how long to wait before the next attempt
+// Returns null when the error shouldn't be retried, attempts have run out,
+// or the server asked for a longer wait than maxDelay
+function getRetryDelay(error, attempt, options = {}) {
+    const { maxAttempts, baseDelay, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    if (attempt >= maxAttempts || !isTransientError(error)) return null;
+
+    // Any transient failure can say how long to wait, such as a 429 or a 503 with Retry-After
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        const requestedDelay = error.retryAfter * 1000;
+        return requestedDelay <= maxDelay ? requestedDelay : null;
+    }
+
+    // Half the backoff is fixed and half random, so clients that failed together don't retry together
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+// Function to wait before retrying, ending early with an AbortError if the signal fires
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+            return;
+        }
+
+        const handleAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', handleAbort);
+            resolve();
+        }, delay);
+        if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+    });
+}
+
+// Function to run a request, retrying it while it fails with transient errors
+// onRetry is called with { attempt, maxAttempts, delay, error } before each new attempt
+async function withRetry(operation, { signal, onRetry, ...options } = {}) {
+    const maxAttempts = options.maxAttempts ?? DEFAULT_RETRY_OPTIONS.maxAttempts;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const delay = getRetryDelay(error, attempt, options);
+            if (delay === null) throw error;
+
+            console.warn(`Request failed (attempt ${attempt} of ${maxAttempts}), retrying in ${delay}ms:`, error);
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, maxAttempts, delay, error });
+            }
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+// Export retry functions
+export {
+    DEFAULT_RETRY_OPTIONS,
+    isTransientError,
+    getRetryDelay,
+    waitForRetry,
+    withRetry
+};
@@ -8,18 +8,60 @@ import {
     addMessage, 
     showTypingIndicator, 
     removeTypingIndicator, 
-    updateDocumentStatusIndicator 
-} from './ui.js?v=1.0.2';
-import { sendMessage, downloadChatHistory, clearChat } from './chat.js?v=1.0.2';
+    renderConversationHistory,
+    startMessageEdit, 
+    updateConnectionBanner, 
+    askToImportConversations 
+} from './ui.js';
+import { 
+    sendMessage, 
+    regenerateResponse, 
+    editAndResend, 
+    stopGeneration, 
+    getMessageInFlight, 
+    flushOutbox, 
+    showQueuedMessages, 
+    retryQueuedMessage, 
+    discardQueuedMessage, 
+    downloadChatHistory, 
+    clearChat 
+} from './chat.js';
 import { 
     handleFileSelection, 
+    initializeFileDropAndPaste, 
     handleClearDocumentContext, 
-    setDocumentContextActive, 
-    resetFileAttachment,
-    currentFile as documentFile,
-    currentFileName as documentFileName
-} from './document-handler.js?v=1.0.2';
-import { updateUIDocumentState, clearDocumentContext } from './api.js?v=1.0.2';
+    initializeDocumentPanel, 
+    resetFileAttachment, 
+    currentFile 
+} from './document-handler.js';
+import { updateUIDocumentState, getClearContextUrl } from './api.js';
+import { 
+    initializeConversations, 
+    getConversations, 
+    getActiveConversation, 
+    updateConversation 
+} from './conversations.js';
+import { initializeConversationSidebar } from './conversation-sidebar.js';
+import { fetchWithoutInteraction, sendKeepaliveRequest } from './auth-fetch.js';
+import { 
+    useAccountStorage, 
+    countUnassignedConversations, 
+    importUnassignedConversations, 
+    declineUnassignedConversations, 
+    saveRedirectState, 
+    takeRedirectState, 
+    deleteAllData 
+} from './storage.js';
+import { 
+    initializeOutbox, 
+    onOutboxChanged, 
+    isOnline, 
+    getPendingMessageCount 
+} from './outbox.js';
+
+// Whether the chat has been set up, and whether the sign-in buttons have their listeners
+let applicationInitialized = false;
+let authListenersAttached = false;
 
 // Initialize the application when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', async () => {
@@ -34,17 +76,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     console.log('Authentication successful - initializing application');
-    initializeApplication();
+    await initializeApplication();
 });
 
 // Set up authentication event listeners
 function setupAuthEventListeners() {
+    if (authListenersAttached) return;
+    authListenersAttached = true;
+    
     const loginButton = document.getElementById('loginButton');
     const logoutButton = document.getElementById('logoutButton');
+    const switchAccountButton = document.getElementById('switchAccountButton');
     
     if (loginButton) {
         loginButton.addEventListener('click', async () => {
-            await window.authModule.login();
+            // A popup sign-in returns to this page, so set up the chat if it isn't already
+            const signedIn = await window.authModule.login();
+            if (signedIn && !applicationInitialized) {
+                await initializeApplication();
+            }
         });
     }
     
@@ -53,22 +103,105 @@ function setupAuthEventListeners() {
             await window.authModule.logout();
         });
     }
+    
+    if (switchAccountButton) {
+        switchAccountButton.addEventListener('click', async () => {
+            await window.authModule.switchAccount();
+        });
+    }
+}
+
+// Function to restore the message and document the user had before a sign-in redirect
+async function restoreRedirectState(chatMessages, userInput, uploadButton, fileInput) {
+    let state;
+    try {
+        state = await takeRedirectState();
+    } catch (error) {
+        console.warn('Failed to read the state saved before signing in:', error);
+        return;
+    }
+    if (!state) return;
+    
+    console.log('Restoring the message and document from before signing in');
+    if (state.draft) {
+        userInput.value = state.draft;
+        // Let the auto-resize listener fit the box to the restored text
+        userInput.dispatchEvent(new Event('input'));
+    }
+    
+    // The document is added again, since its upload was interrupted by the redirect
+    if (state.file) {
+        handleFileSelection(state.file, uploadButton, fileInput, chatMessages, userInput);
+    }
+}
+
+// Function to offer conversations saved before each account kept its own, if any are still unclaimed
+// Nothing says which account wrote them, so they are only imported if the user says they're theirs
+async function offerUnassignedConversations() {
+    try {
+        const count = await countUnassignedConversations();
+        if (count === 0) return;
+        
+        if (await askToImportConversations(count)) {
+            await importUnassignedConversations();
+            console.log(`Imported ${count} earlier conversation(s) into this account`);
+        } else {
+            await declineUnassignedConversations();
+            console.log('Earlier conversations left for the account they belong to');
+        }
+    } catch (error) {
+        console.warn('Failed to check for earlier conversations:', error);
+    }
+}
+
+// Function to clear everything the session left behind before an idle sign-out
+// Documents are cleared on the server first, while there is still a conversation to find their sessions in;
+// no one is there to sign in again, so the token is only renewed silently
+async function clearIdleSession() {
+    stopGeneration();
+    
+    const conversationsWithDocument = getConversations().filter(conversation => conversation.documents.length > 0);
+    const results = await Promise.allSettled(conversationsWithDocument.map(async conversation => {
+        const response = await fetchWithoutInteraction(getClearContextUrl(conversation), {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        if (!response.ok) {
+            throw new Error(`Clearing document context failed with status ${response.status}`);
+        }
+    }));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Error clearing document context after inactivity:', result.reason));
+    
+    await deleteAllData();
 }
 
 // Initialize the main application after authentication
-function initializeApplication() {
+async function initializeApplication() {
+    applicationInitialized = true;
+    
+    // Each account's conversations are stored separately, so no one sees another account's chats
+    const account = window.authModule.getCurrentUser();
+    if (account) {
+        useAccountStorage(account.homeAccountId);
+        await offerUnassignedConversations();
+    }
+    
+    // Load saved conversations and queued messages before anything reads them
+    await initializeConversations();
+    await initializeOutbox();
+    
     // Get DOM elements
     const chatMessages = document.getElementById('chatMessages');
     const userInput = document.getElementById('userInput');
     const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
     const clearChatButton = document.getElementById('clearChatButton');
     const downloadChatButton = document.getElementById('downloadChatButton');
     const clearDocumentButton = document.getElementById('clearDocumentButton');
     const fileInput = document.getElementById('fileInput');
     const uploadButton = document.getElementById('uploadButton');
-    
-    // Initialize document context state
-    let documentContextActive = false;
 
     // Auto-resize the textarea as the user types
     userInput.addEventListener('input', () => {
@@ -76,14 +209,63 @@ function initializeApplication() {
         userInput.style.height = (userInput.scrollHeight) + 'px';
     });
     
+    // Edit, regenerate, and retry or discard queued message buttons on messages
+    chatMessages.addEventListener('click', (e) => {
+        const actionButton = e.target.closest('.message-action-button');
+        if (!actionButton) return;
+        
+        const messageDiv = actionButton.closest('.message');
+        
+        if (actionButton.dataset.action === 'regenerate') {
+            regenerateResponse(chatMessages, userInput);
+        } else if (actionButton.dataset.action === 'edit') {
+            const historyIndex = Number(messageDiv.dataset.historyIndex);
+            startMessageEdit(messageDiv, (newMessage) => {
+                editAndResend(historyIndex, newMessage, chatMessages, userInput);
+            });
+        } else if (actionButton.dataset.action === 'retry-queued') {
+            retryQueuedMessage(messageDiv, chatMessages, userInput);
+        } else if (actionButton.dataset.action === 'discard-queued') {
+            discardQueuedMessage(messageDiv);
+        }
+    });
+    
     // Clear chat functionality
     clearChatButton.addEventListener('click', () => {
         clearChat(chatMessages);
     });
     
-    // Download chat functionality
-    downloadChatButton.addEventListener('click', () => {
-        downloadChatHistory(chatMessages, downloadChatButton);
+    // Download chat functionality: the button opens a menu of export formats
+    const exportMenu = document.getElementById('exportMenu');
+    const setExportMenuOpen = (isOpen) => {
+        exportMenu.hidden = !isOpen;
+        downloadChatButton.setAttribute('aria-expanded', String(isOpen));
+    };
+    
+    downloadChatButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setExportMenuOpen(exportMenu.hidden);
+    });
+    
+    exportMenu.addEventListener('click', (e) => {
+        const menuItem = e.target.closest('[data-format]');
+        if (!menuItem) return;
+        
+        setExportMenuOpen(false);
+        downloadChatHistory(menuItem.dataset.format, chatMessages);
+    });
+    
+    // Close the menu on any click elsewhere or on Escape
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.hidden && !exportMenu.contains(e.target)) {
+            setExportMenuOpen(false);
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !exportMenu.hidden) {
+            setExportMenuOpen(false);
+            downloadChatButton.focus();
+        }
     });
     
     // Clear document context functionality
@@ -91,45 +273,48 @@ function initializeApplication() {
         await handleClearDocumentContext(clearDocumentButton, chatMessages, userInput);
     });
     
-    // Initialize UI with document context state from localStorage
-    // Check localStorage for saved document context state
-    documentContextActive = localStorage.getItem('documentInContext') === 'true';
-    const savedDocumentName = localStorage.getItem('lastDocumentName');
+    // Remove individual documents from the document panel
+    initializeDocumentPanel(chatMessages, userInput);
     
-    // Initialize the UI with the saved state
+    // Show the active conversation and its document context state
+    renderConversationHistory(getActiveConversation().history, chatMessages);
+    showQueuedMessages(chatMessages);
     updateUIDocumentState();
+    initializeConversationSidebar(chatMessages, userInput, uploadButton, fileInput);
     
-    // Make sure the document status indicator is updated with saved document name
-    if (documentContextActive && savedDocumentName) {
-        console.log('Initializing document status indicator with:', savedDocumentName);
-        updateDocumentStatusIndicator(savedDocumentName);
-    } else {
-        updateDocumentStatusIndicator(null);
-    }
+    // Keep the connection banner up to date, and send queued messages as soon as the connection returns
+    const showConnectionState = () => updateConnectionBanner(isOnline(), getPendingMessageCount());
+    onOutboxChanged(showConnectionState);
+    showConnectionState();
+    window.addEventListener('online', () => flushOutbox(chatMessages, userInput));
+    
+    // Messages queued on an earlier visit are sent now if the browser is online
+    flushOutbox(chatMessages, userInput);
     
     // Set up event listener to clear document context when user closes the application
-    window.addEventListener('beforeunload', async (event) => {
-        // Check if there's an active document context to clear
-        if (localStorage.getItem('documentInContext') === 'true') {
-            console.log('Application closing: Clearing document context');
+    window.addEventListener('beforeunload', () => {
+        // Each conversation keeps its documents under its own client session ID
+        const conversationsWithDocument = getConversations().filter(conversation => conversation.documents.length > 0);
+        if (conversationsWithDocument.length === 0) return;
+        
+        console.log('Application closing: Clearing document context');
+        conversationsWithDocument.forEach(conversation => {
             try {
                 // Attempt to call the server to clear the context
-                // We use the fetch API with keepalive to ensure the request completes
-                // even after the page is unloading
-                fetch('/api/document-chat/clear-context', {
+                // The request is kept alive so it completes even after the page is unloading,
+                // and carries the access token already held since there's no time to renew it
+                sendKeepaliveRequest(getClearContextUrl(conversation), {
                     method: 'POST',
-                    credentials: 'same-origin',
-                    keepalive: true // This is important to ensure the request completes during page unload
-                });
+                    credentials: 'same-origin'
+                }).catch(error => console.error('Error clearing document context on close:', error));
                 
-                // Clear local storage immediately (don't wait for response)
-                localStorage.setItem('documentInContext', 'false');
-                localStorage.removeItem('lastDocumentName');
-                console.log('Document context cleared on application close');
+                // Clear the saved state immediately (don't wait for response)
+                updateConversation(conversation.id, { documents: [] });
             } catch (error) {
                 console.error('Error clearing document context on close:', error);
             }
-        }
+        });
+        console.log('Document context cleared on application close');
     });
     
     // File upload functionality
@@ -137,35 +322,47 @@ function initializeApplication() {
         const file = e.target.files[0];
         handleFileSelection(file, uploadButton, fileInput, chatMessages, userInput);
     });
+    
+    // Files can also be dropped onto the chat or pasted into the message box
+    initializeFileDropAndPaste(chatMessages, userInput, uploadButton, fileInput);
+    
+    // Keep the unsent message and the document being added if signing in takes the user off the page,
+    // and put back whatever was kept before the last redirect
+    // A message whose request needed the user to sign in again is kept too, ahead of anything typed since
+    window.authModule.onBeforeRedirect(async () => {
+        const draft = [getMessageInFlight(), userInput.value].filter(Boolean).join('\n\n');
+        if (draft || currentFile) {
+            await saveRedirectState({ draft, file: currentFile });
+        }
+    });
+    await restoreRedirectState(chatMessages, userInput, uploadButton, fileInput);
+    
+    // Sign out after the configured time without activity, clearing the user's documents and local data first
+    window.authModule.startIdleTimeout(clearIdleSession);
 
     // Send message when the send button is clicked
     sendButton.addEventListener('click', () => {
         const message = userInput.value.trim();
-        sendMessage(
-            message, 
-            chatMessages, 
-            userInput, 
-            documentFile, 
-            documentFileName,
-            uploadButton,
-            fileInput
-        );
+        sendMessage(message, chatMessages, userInput);
+    });
+
+    // Stop the in-flight request when the Stop button is clicked
+    stopButton.addEventListener('click', () => {
+        stopGeneration();
     });
 
     // Send message when Enter key is pressed (but allow Shift+Enter for new lines)
+    // Escape stops a response that is still being generated
     userInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            stopGeneration();
+            return;
+        }
+        
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
             const message = userInput.value.trim();
-            sendMessage(
-                message, 
-                chatMessages, 
-                userInput, 
-                documentFile, 
-                documentFileName,
-                uploadButton,
-                fileInput
-            );
+            sendMessage(message, chatMessages, userInput);
         }
     });
     
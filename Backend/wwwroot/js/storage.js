@@ -0,0 +1,411 @@
+/**
+ * Persistent storage for the chat application
+ * Keeps conversations in IndexedDB so full transcripts survive reloads, in a separate database for each account
+ */
+
+// Each account's database is named after this and the account's ID; data saved before that used it alone
+const DATABASE_NAME = 'rai-chat';
+
+// Bump this and add a step to upgradeDatabase whenever the stored shape changes
+const SCHEMA_VERSION = 3;
+
+const CONVERSATION_STORE = 'conversations';
+const SETTINGS_STORE = 'settings';
+// Messages written while offline, waiting to be sent
+const OUTBOX_STORE = 'outbox';
+// Chunked uploads that haven't finished, so a reload or sign-in redirect can resume them
+const UPLOAD_STORE = 'uploads';
+
+// localStorage keys written by earlier versions of the app
+const LEGACY_STORAGE_KEYS = [
+    'conversations',
+    'activeConversationId',
+    'conversationHistory',
+    'documentInContext',
+    'lastDocumentName',
+    'clientSessionId'
+];
+
+// The database for the signed-in account, and the shared connection to it, opened on first use
+let databaseName = DATABASE_NAME;
+let databasePromise = null;
+
+// Function to keep the given account's data apart from every other account's
+// Must be called before anything is loaded or saved
+function useAccountStorage(accountId) {
+    databaseName = `${DATABASE_NAME}-${accountId}`;
+    databasePromise = null;
+    console.log('Using chat storage for the signed-in account');
+}
+
+// Function to create or upgrade the object stores
+function upgradeDatabase(database, oldVersion) {
+    console.log(`Upgrading chat storage from schema version ${oldVersion} to ${SCHEMA_VERSION}`);
+
+    if (oldVersion < 1) {
+        database.createObjectStore(CONVERSATION_STORE, { keyPath: 'id' });
+        database.createObjectStore(SETTINGS_STORE);
+    }
+
+    if (oldVersion < 2) {
+        database.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    }
+
+    if (oldVersion < 3) {
+        database.createObjectStore(UPLOAD_STORE, { keyPath: 'key' });
+    }
+}
+
+// Function to open the database
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(databaseName, SCHEMA_VERSION);
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                const database = request.result;
+                // Let a newer version of the app in another tab take over the database
+                database.onversionchange = () => database.close();
+                resolve(database);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Chat storage upgrade is waiting for other tabs to close');
+        });
+    }
+
+    return databasePromise;
+}
+
+// Helper function to run requests in one transaction and wait for it to commit
+// The callback issues its requests synchronously; the result of the request it returns is resolved
+async function runTransaction(storeNames, mode, callback) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        const request = callback(transaction);
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+// Function to read conversations saved by earlier versions in localStorage
+function readLegacyConversations() {
+    // Conversations from the first sidebar release
+    const savedConversations = localStorage.getItem('conversations');
+    if (savedConversations) {
+        return {
+            conversations: JSON.parse(savedConversations),
+            activeConversationId: localStorage.getItem('activeConversationId')
+        };
+    }
+
+    // The single conversation from before the sidebar
+    const savedHistory = localStorage.getItem('conversationHistory');
+    const documentInContext = localStorage.getItem('documentInContext') === 'true';
+    if (!savedHistory && !documentInContext) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const conversation = {
+        id: 'conversation-' + Date.now(),
+        // Left empty so the conversation module titles it from the history
+        title: null,
+        createdAt: now,
+        updatedAt: now,
+        history: savedHistory ? JSON.parse(savedHistory) : [],
+        documentInContext,
+        lastDocumentName: localStorage.getItem('lastDocumentName') || null,
+        // Keep the existing client session ID so any document stored on the server stays reachable
+        sessionId: localStorage.getItem('clientSessionId')
+    };
+
+    return { conversations: [conversation], activeConversationId: conversation.id };
+}
+
+// Helper function to open a database only if it already exists, resolving with null if it doesn't
+function openExistingDatabase(name) {
+    return new Promise(resolve => {
+        const request = window.indexedDB.open(name);
+        // An upgrade on open without a version means the database is being created, so stop that
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+// Helper function to read every record of a store, or nothing if the database predates the store
+function readAllFromDatabase(database, storeName) {
+    return new Promise((resolve, reject) => {
+        if (!database.objectStoreNames.contains(storeName)) {
+            resolve([]);
+            return;
+        }
+
+        const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Helper function to read what was saved before storage was kept per account, or null if there is nothing
+async function readSharedDatabase() {
+    const sharedDatabase = await openExistingDatabase(DATABASE_NAME);
+    if (!sharedDatabase) return null;
+
+    let conversations;
+    let queuedMessages;
+    let activeConversationId;
+    try {
+        [conversations, queuedMessages] = await Promise.all([
+            readAllFromDatabase(sharedDatabase, CONVERSATION_STORE),
+            readAllFromDatabase(sharedDatabase, OUTBOX_STORE)
+        ]);
+        activeConversationId = await new Promise((resolve, reject) => {
+            const request = sharedDatabase.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE).get('activeConversationId');
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        sharedDatabase.close();
+    }
+
+    return { conversations, queuedMessages, activeConversationId };
+}
+
+// Function to move data saved before storage was kept per account into this account's database
+async function migrateFromSharedDatabase() {
+    if (databaseName === DATABASE_NAME) return null;
+
+    const sharedState = await readSharedDatabase();
+    if (!sharedState) return null;
+
+    const { conversations, queuedMessages, activeConversationId } = sharedState;
+    if (conversations.length > 0 || queuedMessages.length > 0) {
+        await runTransaction([CONVERSATION_STORE, SETTINGS_STORE, OUTBOX_STORE], 'readwrite', transaction => {
+            const conversationStore = transaction.objectStore(CONVERSATION_STORE);
+            conversations.forEach(conversation => conversationStore.put(conversation));
+            const outboxStore = transaction.objectStore(OUTBOX_STORE);
+            queuedMessages.forEach(queuedMessage => outboxStore.put(queuedMessage));
+            transaction.objectStore(SETTINGS_STORE).put(activeConversationId, 'activeConversationId');
+        });
+        console.log(`Moved ${conversations.length} conversations from shared storage to this account`);
+    }
+
+    // Only delete the shared database once its contents are safely in the account's
+    window.indexedDB.deleteDatabase(DATABASE_NAME);
+    return conversations.length > 0 ? { conversations, activeConversationId } : null;
+}
+
+// Function to move localStorage conversations into IndexedDB
+async function migrateFromLocalStorage() {
+    let legacyState;
+    try {
+        legacyState = readLegacyConversations();
+    } catch (error) {
+        console.warn('Ignoring unreadable conversations in localStorage:', error);
+        legacyState = null;
+    }
+
+    if (legacyState) {
+        await runTransaction([CONVERSATION_STORE, SETTINGS_STORE], 'readwrite', transaction => {
+            const conversationStore = transaction.objectStore(CONVERSATION_STORE);
+            legacyState.conversations.forEach(conversation => conversationStore.put(conversation));
+            transaction.objectStore(SETTINGS_STORE).put(legacyState.activeConversationId, 'activeConversationId');
+        });
+        console.log(`Migrated ${legacyState.conversations.length} conversations from localStorage`);
+    }
+
+    // Only remove the old keys once their contents are safely in IndexedDB
+    LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+    return legacyState;
+}
+
+// Function to load every saved conversation and the active conversation ID
+async function loadConversations() {
+    const [conversations, activeConversationId] = await Promise.all([
+        runTransaction(CONVERSATION_STORE, 'readonly', transaction => transaction.objectStore(CONVERSATION_STORE).getAll()),
+        runTransaction(SETTINGS_STORE, 'readonly', transaction => transaction.objectStore(SETTINGS_STORE).get('activeConversationId'))
+    ]);
+
+    // Without an account, conversations from localStorage can only be this user's;
+    // with one, they are only imported once the user claims them
+    if (conversations.length === 0 && databaseName === DATABASE_NAME) {
+        const migratedState = await migrateFromLocalStorage();
+        if (migratedState) {
+            return migratedState;
+        }
+    }
+
+    console.log(`Loaded ${conversations.length} conversations from IndexedDB`);
+    return { conversations, activeConversationId: activeConversationId || null };
+}
+
+// Function to count conversations saved before storage was kept per account that no account has claimed
+// Nothing records which account wrote them, so another person may have used the app on this device;
+// returns 0 if there are none or this account has already said they aren't its own
+async function countUnassignedConversations() {
+    if (databaseName === DATABASE_NAME) return 0;
+
+    const declined = await runTransaction(SETTINGS_STORE, 'readonly', transaction =>
+        transaction.objectStore(SETTINGS_STORE).get('declinedUnassignedConversations'));
+    if (declined) return 0;
+
+    let legacyState = null;
+    try {
+        legacyState = readLegacyConversations();
+    } catch (error) {
+        console.warn('Ignoring unreadable conversations in localStorage:', error);
+    }
+    const sharedState = await readSharedDatabase();
+
+    return (sharedState ? sharedState.conversations.length : 0) + (legacyState ? legacyState.conversations.length : 0);
+}
+
+// Function to move the unclaimed conversations into this account's database, once the user says they're theirs
+// They are removed from where they were, so no other account is offered them
+async function importUnassignedConversations() {
+    await migrateFromSharedDatabase();
+    await migrateFromLocalStorage();
+}
+
+// Function to remember that the unclaimed conversations aren't this account's, so it isn't asked again
+// They are left where they are for whoever they belong to
+function declineUnassignedConversations() {
+    return runTransaction(SETTINGS_STORE, 'readwrite', transaction => {
+        transaction.objectStore(SETTINGS_STORE).put(true, 'declinedUnassignedConversations');
+    });
+}
+
+// Function to save one conversation
+function saveConversation(conversation) {
+    return runTransaction(CONVERSATION_STORE, 'readwrite', transaction => {
+        transaction.objectStore(CONVERSATION_STORE).put(conversation);
+    });
+}
+
+// Function to delete one conversation
+function removeConversation(id) {
+    return runTransaction(CONVERSATION_STORE, 'readwrite', transaction => {
+        transaction.objectStore(CONVERSATION_STORE).delete(id);
+    });
+}
+
+// Function to remember which conversation is shown in the chat
+function saveActiveConversationId(id) {
+    return runTransaction(SETTINGS_STORE, 'readwrite', transaction => {
+        transaction.objectStore(SETTINGS_STORE).put(id, 'activeConversationId');
+    });
+}
+
+// Function to load every queued message, oldest first
+async function loadQueuedMessages() {
+    const queuedMessages = await runTransaction(OUTBOX_STORE, 'readonly', transaction => transaction.objectStore(OUTBOX_STORE).getAll());
+    return queuedMessages.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+// Function to save one queued message
+function saveQueuedMessage(queuedMessage) {
+    return runTransaction(OUTBOX_STORE, 'readwrite', transaction => {
+        transaction.objectStore(OUTBOX_STORE).put(queuedMessage);
+    });
+}
+
+// Function to delete one queued message
+function removeQueuedMessage(id) {
+    return runTransaction(OUTBOX_STORE, 'readwrite', transaction => {
+        transaction.objectStore(OUTBOX_STORE).delete(id);
+    });
+}
+
+// Function to load the unfinished chunked upload of a file, or undefined if there is none
+// key identifies the file within its conversation
+function loadPendingUpload(key) {
+    return runTransaction(UPLOAD_STORE, 'readonly', transaction => transaction.objectStore(UPLOAD_STORE).get(key));
+}
+
+// Function to save an unfinished chunked upload: { key, uploadId, chunkSize, receivedBytes }
+function savePendingUpload(pendingUpload) {
+    return runTransaction(UPLOAD_STORE, 'readwrite', transaction => {
+        transaction.objectStore(UPLOAD_STORE).put(pendingUpload);
+    });
+}
+
+// Function to delete a chunked upload once it has finished or the server no longer has it
+function removePendingUpload(key) {
+    return runTransaction(UPLOAD_STORE, 'readwrite', transaction => {
+        transaction.objectStore(UPLOAD_STORE).delete(key);
+    });
+}
+
+// Function to keep what the user was doing while the page redirects to sign in
+// state is { draft, file }; the file is stored as it is, since IndexedDB can hold files
+function saveRedirectState(state) {
+    return runTransaction(SETTINGS_STORE, 'readwrite', transaction => {
+        transaction.objectStore(SETTINGS_STORE).put(state, 'redirectState');
+    });
+}
+
+// Function to read the state saved before a sign-in redirect, removing it so it is only restored once
+function takeRedirectState() {
+    return runTransaction(SETTINGS_STORE, 'readwrite', transaction => {
+        const store = transaction.objectStore(SETTINGS_STORE);
+        const request = store.get('redirectState');
+        store.delete('redirectState');
+        return request;
+    });
+}
+
+// Function to delete everything stored for the signed-in account, such as when a session times out
+// Nothing can be saved afterwards, so a save still in flight can't bring the data back
+async function deleteAllData() {
+    if (databasePromise) {
+        try {
+            // Requests already made finish before the connection closes
+            (await databasePromise).close();
+        } catch (error) {
+            console.warn('Chat storage was not open:', error);
+        }
+    }
+
+    databasePromise = Promise.reject(new Error('Chat storage has been deleted'));
+    databasePromise.catch(() => {});
+
+    await new Promise((resolve, reject) => {
+        const request = window.indexedDB.deleteDatabase(databaseName);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Deleting chat storage is waiting for other tabs to close');
+    });
+    console.log('Deleted chat storage for the signed-in account');
+}
+
+// Export storage functions
+export {
+    SCHEMA_VERSION,
+    useAccountStorage,
+    loadConversations,
+    countUnassignedConversations,
+    importUnassignedConversations,
+    declineUnassignedConversations,
+    saveConversation,
+    removeConversation,
+    saveActiveConversationId,
+    loadQueuedMessages,
+    saveQueuedMessage,
+    removeQueuedMessage,
+    loadPendingUpload,
+    savePendingUpload,
+    removePendingUpload,
+    saveRedirectState,
+    takeRedirectState,
+    deleteAllData
+};
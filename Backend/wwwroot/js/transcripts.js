@@ -0,0 +1,265 @@
+/**
+ * Transcript export and import for the chat application
+ * Turns a conversation into a Markdown, JSON or HTML file, and reads the JSON back in
+ */
+
+import { renderMarkdown } from './markdown.js';
+
+// Identifies files produced by this app's JSON export
+// Version 2 lists every document in the conversation instead of a single documentName
+const TRANSCRIPT_FORMAT = 'rai-chat-transcript';
+const TRANSCRIPT_VERSION = 2;
+
+// File details for each export format
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    html: { extension: 'html', mimeType: 'text/html' }
+};
+
+// Display names used in exported files
+const SENDER_NAMES = { user: 'You', assistant: 'RAI' };
+
+// Styles embedded in HTML exports so the file needs nothing else to display
+const HTML_EXPORT_STYLES = `
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f7f9; color: #333; margin: 0; padding: 32px 16px; }
+    main { max-width: 860px; margin: 0 auto; }
+    h1 { font-size: 1.6rem; margin: 0 0 4px; }
+    .transcript-meta { color: #7f8c8d; font-size: 0.9rem; margin-bottom: 24px; }
+    .message { padding: 14px 18px; border-radius: 18px; margin-bottom: 12px; line-height: 1.6; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.08); }
+    .user-message { background: #0078d4; color: white; margin-left: 15%; border-bottom-right-radius: 6px; }
+    .bot-message { background: white; border-left: 4px solid #0078d4; margin-right: 15%; border-bottom-left-radius: 6px; }
+    .message-sender { font-weight: 600; font-size: 0.85rem; margin-bottom: 4px; }
+    .message-time { font-weight: normal; opacity: 0.7; margin-left: 8px; }
+    .message-content > :first-child { margin-top: 0; }
+    .message-content > :last-child { margin-bottom: 0; }
+    .user-message .message-content { white-space: pre-wrap; }
+    code { background: rgba(0, 0, 0, 0.05); padding: 2px 4px; border-radius: 4px; font-family: Consolas, Monaco, monospace; font-size: 0.9em; }
+    pre { background: #f5f7f9; border: 1px solid rgba(0, 0, 0, 0.08); border-radius: 6px; padding: 10px 12px; overflow-x: auto; }
+    pre code { background: none; padding: 0; }
+    blockquote { margin: 0 0 8px; padding: 4px 12px; border-left: 3px solid #b6ccd7; color: #555; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid rgba(0, 0, 0, 0.12); padding: 6px 10px; text-align: left; }
+    th { background: rgba(0, 0, 0, 0.04); }
+    a { color: #0078d4; }
+`;
+
+// Helper function to format a stored ISO timestamp for display, or return an empty string
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+// Helper function to list the documents a conversation is about, or return null if there are none
+function getDocumentNames(conversation) {
+    return conversation.documents.length > 0 ? conversation.documents.map(doc => doc.name).join(', ') : null;
+}
+
+// Function to build the structured transcript used by the JSON export
+function buildTranscript(conversation) {
+    return {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: {
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            documents: conversation.documents.map(doc => ({
+                name: doc.name,
+                size: doc.size,
+                uploadedAt: doc.uploadedAt
+            })),
+            messages: conversation.history.map(entry => ({
+                role: entry.role,
+                content: entry.content,
+                timestamp: entry.timestamp || null
+            }))
+        }
+    };
+}
+
+// Function to write a conversation as Markdown
+function toMarkdown(conversation) {
+    const lines = [`# ${conversation.title}`, '', `_Exported ${new Date().toLocaleString()}_`];
+
+    const documentNames = getDocumentNames(conversation);
+    if (documentNames) {
+        lines.push('', `> Documents in context: ${documentNames}`);
+    }
+
+    conversation.history.forEach(entry => {
+        const time = formatTimestamp(entry.timestamp);
+        lines.push('', '---', '', `**${SENDER_NAMES[entry.role] || entry.role}**${time ? ` · ${time}` : ''}`, '', entry.content);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Function to write a conversation as a self-contained, styled HTML page
+// The page is built as a DOM document so message text can never become markup
+function toHtml(conversation) {
+    const exportDocument = document.implementation.createHTMLDocument(conversation.title);
+
+    const charset = exportDocument.createElement('meta');
+    charset.setAttribute('charset', 'UTF-8');
+    exportDocument.head.prepend(charset);
+
+    const style = exportDocument.createElement('style');
+    style.textContent = HTML_EXPORT_STYLES;
+    exportDocument.head.appendChild(style);
+
+    const main = exportDocument.createElement('main');
+
+    const heading = exportDocument.createElement('h1');
+    heading.textContent = conversation.title;
+    main.appendChild(heading);
+
+    const meta = exportDocument.createElement('div');
+    meta.classList.add('transcript-meta');
+    meta.textContent = `RAI Chat Transcript · Exported ${new Date().toLocaleString()}`;
+    const documentNames = getDocumentNames(conversation);
+    if (documentNames) {
+        meta.textContent += ` · Documents in context: ${documentNames}`;
+    }
+    main.appendChild(meta);
+
+    conversation.history.forEach(entry => {
+        const messageDiv = exportDocument.createElement('div');
+        messageDiv.classList.add('message', entry.role === 'user' ? 'user-message' : 'bot-message');
+
+        const sender = exportDocument.createElement('div');
+        sender.classList.add('message-sender');
+        sender.textContent = SENDER_NAMES[entry.role] || entry.role;
+
+        const time = formatTimestamp(entry.timestamp);
+        if (time) {
+            const timeSpan = exportDocument.createElement('span');
+            timeSpan.classList.add('message-time');
+            timeSpan.textContent = time;
+            sender.appendChild(timeSpan);
+        }
+        messageDiv.appendChild(sender);
+
+        const messageContent = exportDocument.createElement('div');
+        messageContent.classList.add('message-content');
+        if (entry.role === 'user') {
+            messageContent.textContent = entry.content;
+        } else {
+            renderMarkdown(entry.content, messageContent);
+        }
+        messageDiv.appendChild(messageContent);
+
+        main.appendChild(messageDiv);
+    });
+
+    exportDocument.body.appendChild(main);
+    return '<!DOCTYPE html>\n' + exportDocument.documentElement.outerHTML;
+}
+
+// Helper function to build a file name from the conversation title and today's date
+function createFileName(conversation, extension) {
+    const slug = conversation.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 40);
+    const date = new Date().toISOString().slice(0, 10);
+    return `rai-chat-${slug || 'conversation'}-${date}.${extension}`;
+}
+
+// Function to download a conversation in the given format ('markdown', 'json' or 'html')
+function downloadTranscript(conversation, format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let content;
+    if (format === 'markdown') {
+        content = toMarkdown(conversation);
+    } else if (format === 'json') {
+        content = JSON.stringify(buildTranscript(conversation), null, 2);
+    } else {
+        content = toHtml(conversation);
+    }
+
+    // Create a download link for the file
+    const blob = new Blob([content], { type: `${exportFormat.mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = createFileName(conversation, exportFormat.extension);
+
+    // Append link, trigger click, and clean up after a short delay
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+        a.remove();
+        URL.revokeObjectURL(url);
+    }, 100);
+
+    console.log(`Transcript downloaded as ${format}`);
+}
+
+// Function to read and validate a JSON transcript produced by the JSON export
+// Throws an error with a message suitable for showing to the user when the file doesn't fit the schema
+function parseTranscript(text) {
+    let transcript;
+    try {
+        transcript = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!transcript || transcript.format !== TRANSCRIPT_FORMAT) {
+        throw new Error('The file is not a RAI chat transcript.');
+    }
+
+    if (!Number.isInteger(transcript.version) || transcript.version < 1 || transcript.version > TRANSCRIPT_VERSION) {
+        throw new Error(`Transcript version ${transcript.version} is not supported.`);
+    }
+
+    const conversation = transcript.conversation;
+    if (!conversation || !Array.isArray(conversation.messages)) {
+        throw new Error('The transcript has no messages.');
+    }
+
+    const messages = conversation.messages.map((message, index) => {
+        if (!message || !['user', 'assistant'].includes(message.role)) {
+            throw new Error(`Message ${index + 1} has an unknown role.`);
+        }
+        if (typeof message.content !== 'string') {
+            throw new Error(`Message ${index + 1} has no text.`);
+        }
+        const hasValidTimestamp = typeof message.timestamp === 'string' && !isNaN(Date.parse(message.timestamp));
+        return {
+            role: message.role,
+            content: message.content,
+            timestamp: hasValidTimestamp ? message.timestamp : null
+        };
+    });
+
+    if (messages.length === 0) {
+        throw new Error('The transcript has no messages.');
+    }
+
+    // Version 1 transcripts named at most one document
+    const documentNames = Array.isArray(conversation.documents)
+        ? conversation.documents.filter(doc => doc && typeof doc.name === 'string').map(doc => doc.name)
+        : [conversation.documentName].filter(name => typeof name === 'string');
+
+    return {
+        title: typeof conversation.title === 'string' && conversation.title.trim() ? conversation.title.trim() : null,
+        documentNames,
+        messages
+    };
+}
+
+// Export transcript functions
+export {
+    TRANSCRIPT_FORMAT,
+    TRANSCRIPT_VERSION,
+    buildTranscript,
+    downloadTranscript,
+    parseTranscript
+};
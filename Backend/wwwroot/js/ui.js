@@ -2,19 +2,60 @@
  * UI-related functionality for the chat application
  */
 
+import { renderMarkdown } from './markdown.js';
+
 // Function to add a message to the chat UI
-function addMessage(content, sender, chatMessages, userInput) {
+// Pass { scroll: false } when adding many messages at once, e.g. redrawing a saved conversation,
+// a timestamp to show when the message was originally sent (null shows no time),
+// and the message's position in the conversation history if it has one
+// Returns the new message element
+function addMessage(content, sender, chatMessages, userInput, { scroll = true, timestamp = new Date(), historyIndex = null } = {}) {
     const messageDiv = document.createElement('div');
     messageDiv.classList.add('message', `${sender}-message`);
     
     const messageContent = document.createElement('div');
     messageContent.classList.add('message-content');
     
-    // Format bot and system messages with better styling
+    renderMessageBody(messageContent, content, sender);
+    
+    // Add timestamp to message
+    if (timestamp) {
+        messageContent.appendChild(createTimestamp(timestamp));
+    }
+    
+    if (sender === 'bot') {
+        messageContent.appendChild(createMessageActions(content));
+    }
+    
+    messageDiv.appendChild(messageContent);
+    chatMessages.appendChild(messageDiv);
+    
+    if (historyIndex !== null) {
+        markMessageInHistory(messageDiv, historyIndex);
+    }
+    
+    if (!scroll) return messageDiv;
+    
+    // Initial scroll to bottom to ensure message is visible
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    
+    // Scroll behavior based on message type and length
+    if (sender === 'bot') {
+        scrollToLongMessage(messageDiv, chatMessages);
+    }
+    
+    // Focus on the message input
+    if (userInput) {
+        userInput.focus();
+    }
+    
+    return messageDiv;
+}
+
+// Function to render message text into a message content element
+function renderMessageBody(messageContent, content, sender) {
+    // Bot and system messages are Markdown; renderMarkdown only ever creates text nodes and safe elements
     if (sender === 'bot' || sender === 'system') {
-        // Convert line breaks to paragraphs
-        const paragraphs = content.split('\n').filter(p => p.trim() !== '');
-        
         // Add RAI branding to greetings (bot only)
         if (sender === 'bot' && (content.toLowerCase().includes('hello') || content.toLowerCase().includes('hi there'))) {
             if (!content.includes('RAI')) {
@@ -22,63 +63,364 @@ function addMessage(content, sender, chatMessages, userInput) {
             }
         }
         
-        paragraphs.forEach(paragraph => {
-            const p = document.createElement('p');
-            
-            // Convert code blocks with backticks to proper code elements
-            if (paragraph.includes('`')) {
-                // Replace inline code
-                let formattedText = paragraph.replace(/`([^`]+)`/g, '<code>$1</code>');
-                p.innerHTML = formattedText;
-            } else {
-                p.textContent = paragraph;
-            }
-            
-            messageContent.appendChild(p);
-        });
+        renderMarkdown(content, messageContent);
+        enhanceCodeBlocks(messageContent);
     } else {
         // For user messages, just use text content
         messageContent.textContent = content;
     }
+}
+
+// Function to add highlighting, line numbers and a Copy button to rendered code blocks
+function enhanceCodeBlocks(messageContent) {
+    messageContent.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        const languageClass = [...code.classList].find(className => className.startsWith('language-'));
+        const language = languageClass ? languageClass.substring('language-'.length) : '';
+        const codeText = code.textContent;
+        
+        // highlight.js escapes the code itself; skip it for languages it doesn't know
+        if (language && window.hljs && window.hljs.getLanguage(language)) {
+            window.hljs.highlightElement(code);
+        }
+        
+        const codeBlock = document.createElement('div');
+        codeBlock.classList.add('code-block');
+        
+        const header = document.createElement('div');
+        header.classList.add('code-block-header');
+        
+        const languageLabel = document.createElement('span');
+        languageLabel.classList.add('code-block-language');
+        languageLabel.textContent = language || 'code';
+        header.appendChild(languageLabel);
+        header.appendChild(createCopyButton('Copy', 'Copy code', () => codeText));
+        
+        const body = document.createElement('div');
+        body.classList.add('code-block-body');
+        
+        const lineNumbers = document.createElement('div');
+        lineNumbers.classList.add('code-line-numbers');
+        lineNumbers.setAttribute('aria-hidden', 'true');
+        const lineCount = codeText.split('\n').length;
+        lineNumbers.textContent = Array.from({ length: lineCount }, (_, line) => line + 1).join('\n');
+        
+        pre.replaceWith(codeBlock);
+        body.appendChild(lineNumbers);
+        body.appendChild(pre);
+        codeBlock.appendChild(header);
+        codeBlock.appendChild(body);
+    });
+}
+
+// Function to create the action bar shown under a bot message
+function createMessageActions(content) {
+    const actions = document.createElement('div');
+    actions.classList.add('message-actions');
+    actions.appendChild(createCopyButton('Copy message', 'Copy message as Markdown', () => content));
+    return actions;
+}
+
+// Helper function to get a message's action bar, adding an empty one if needed
+function getMessageActions(messageDiv) {
+    let actions = messageDiv.querySelector('.message-actions');
+    if (!actions) {
+        actions = document.createElement('div');
+        actions.classList.add('message-actions');
+        messageDiv.querySelector('.message-content').appendChild(actions);
+    }
+    return actions;
+}
+
+// Helper function to create a message action button
+// Clicks are handled by a single listener on the chat, keyed by the data-action attribute
+function createActionButton(action, iconClass, label, title) {
+    const button = document.createElement('button');
+    button.classList.add('message-action-button');
+    button.dataset.action = action;
+    button.setAttribute('title', title);
     
-    // Add timestamp to message
+    const icon = document.createElement('i');
+    icon.classList.add('fas', iconClass);
+    const text = document.createElement('span');
+    text.textContent = label;
+    button.appendChild(icon);
+    button.appendChild(text);
+    
+    return button;
+}
+
+// Helper function to create a button that copies text and briefly confirms it
+function createCopyButton(label, title, getText) {
+    const button = document.createElement('button');
+    button.classList.add('copy-button');
+    button.setAttribute('title', title);
+    
+    const icon = document.createElement('i');
+    icon.classList.add('fas', 'fa-copy');
+    const text = document.createElement('span');
+    text.textContent = label;
+    button.appendChild(icon);
+    button.appendChild(text);
+    
+    button.addEventListener('click', async () => {
+        try {
+            await copyToClipboard(getText());
+            text.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+            text.textContent = 'Copy failed';
+        }
+        
+        setTimeout(() => {
+            text.textContent = label;
+        }, 2000);
+    });
+    
+    return button;
+}
+
+// Function to copy text to the clipboard
+async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    
+    // The Clipboard API is unavailable outside HTTPS, so fall back to a hidden textarea
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    
+    try {
+        if (!document.execCommand('copy')) {
+            throw new Error('Copy command was rejected');
+        }
+    } finally {
+        textarea.remove();
+    }
+}
+
+// Function to create the timestamp shown under a message
+function createTimestamp(date = new Date()) {
     const timestamp = document.createElement('div');
     timestamp.classList.add('message-time');
-    const now = new Date();
-    timestamp.textContent = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    messageContent.appendChild(timestamp);
     
+    // Messages from earlier days also show the date
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    timestamp.textContent = date.toDateString() === new Date().toDateString()
+        ? time
+        : `${date.toLocaleDateString()} ${time}`;
+    timestamp.setAttribute('title', date.toLocaleString());
+    return timestamp;
+}
+
+// Function to scroll to the top of a long bot message instead of its end
+function scrollToLongMessage(messageDiv, chatMessages) {
+    // For bot messages, use a small delay to ensure the message has been rendered
+    // before calculating its height and adjusting scroll position
+    setTimeout(() => {
+        const messageHeight = messageDiv.offsetHeight;
+        const chatHeight = chatMessages.clientHeight;
+        
+        // If the message is more than 60% of the chat window height, scroll to the top of the message
+        if (messageHeight > chatHeight * 0.6) {
+            // Get the position of the message relative to the chat container
+            const messagePosition = messageDiv.offsetTop - chatMessages.offsetTop;
+            // Scroll to the top of the message with smooth behavior
+            chatMessages.scrollTo({
+                top: messagePosition,
+                behavior: 'smooth'
+            });
+        }
+    }, 50); // Small delay to ensure the message has rendered
+}
+
+// Function to start a bot message that grows as a streamed response arrives
+function createStreamingMessage(chatMessages) {
+    const messageDiv = document.createElement('div');
+    messageDiv.classList.add('message', 'bot-message', 'streaming');
+    
+    const messageContent = document.createElement('div');
+    messageContent.classList.add('message-content');
     messageDiv.appendChild(messageContent);
-    chatMessages.appendChild(messageDiv);
     
-    // Initial scroll to bottom to ensure message is visible
+    chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
     
-    // Scroll behavior based on message type and length
-    if (sender === 'bot') {
-        // For bot messages, use a small delay to ensure the message has been rendered
-        // before calculating its height and adjusting scroll position
-        setTimeout(() => {
-            const messageHeight = messageDiv.offsetHeight;
-            const chatHeight = chatMessages.clientHeight;
-            
-            // If the message is more than 60% of the chat window height, scroll to the top of the message
-            if (messageHeight > chatHeight * 0.6) {
-                // Get the position of the message relative to the chat container
-                const messagePosition = messageDiv.offsetTop - chatMessages.offsetTop;
-                // Scroll to the top of the message with smooth behavior
-                chatMessages.scrollTo({
-                    top: messagePosition,
-                    behavior: 'smooth'
-                });
-            }
-        }, 50); // Small delay to ensure the message has rendered
+    return messageDiv;
+}
+
+// Streamed text waiting to be drawn, by message, so that many pieces arriving at once are drawn together
+const pendingStreamUpdates = new WeakMap();
+
+// Function to redraw a streaming bot message with the text received so far
+// Redrawing renders all the Markdown again, so it happens at most once per animation frame
+function updateStreamingMessage(messageDiv, content, chatMessages) {
+    const pendingUpdate = pendingStreamUpdates.get(messageDiv);
+    if (pendingUpdate) {
+        pendingUpdate.content = content;
+        return;
     }
     
+    const update = { content, frame: null };
+    update.frame = requestAnimationFrame(() => {
+        pendingStreamUpdates.delete(messageDiv);
+        drawStreamingMessage(messageDiv, update.content, chatMessages);
+    });
+    pendingStreamUpdates.set(messageDiv, update);
+}
+
+// Helper function to draw a streaming bot message
+function drawStreamingMessage(messageDiv, content, chatMessages) {
+    // Only follow the stream if the user hasn't scrolled up to read earlier messages
+    const distanceFromBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight;
+    const followStream = distanceFromBottom < 80;
+    
+    const messageContent = messageDiv.querySelector('.message-content');
+    messageContent.replaceChildren();
+    renderMessageBody(messageContent, content, 'bot');
+    
+    if (followStream) {
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+// Function to complete a streaming bot message once the response has finished
+function finalizeStreamingMessage(messageDiv, content, chatMessages, userInput) {
+    // The complete text replaces any redraw still waiting for a frame
+    const pendingUpdate = pendingStreamUpdates.get(messageDiv);
+    if (pendingUpdate) {
+        cancelAnimationFrame(pendingUpdate.frame);
+        pendingStreamUpdates.delete(messageDiv);
+    }
+    
+    const messageContent = messageDiv.querySelector('.message-content');
+    messageContent.replaceChildren();
+    renderMessageBody(messageContent, content, 'bot');
+    messageContent.appendChild(createTimestamp());
+    messageContent.appendChild(createMessageActions(content));
+    
+    messageDiv.classList.remove('streaming');
+    scrollToLongMessage(messageDiv, chatMessages);
+    
     // Focus on the message input
     if (userInput) {
         userInput.focus();
     }
+    
+    return messageDiv;
+}
+
+// Function to redraw the chat from a conversation's saved history
+function renderConversationHistory(history, chatMessages) {
+    // Keep only the welcome message
+    const welcomeMessage = chatMessages.querySelector('.bot-message');
+    chatMessages.replaceChildren();
+    if (welcomeMessage) {
+        chatMessages.appendChild(welcomeMessage);
+    }
+    
+    let lastMessageDiv = null;
+    history.forEach((entry, historyIndex) => {
+        const sender = entry.role === 'user' ? 'user' : 'bot';
+        // Messages saved before timestamps were recorded are shown without a time
+        const timestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+        lastMessageDiv = addMessage(entry.content, sender, chatMessages, null, { scroll: false, timestamp, historyIndex });
+    });
+    
+    // Only the latest answer can be regenerated
+    if (lastMessageDiv && lastMessageDiv.classList.contains('bot-message')) {
+        setRegenerableMessage(chatMessages, lastMessageDiv);
+    }
+    
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Function to link a message element to its entry in the conversation history
+// User messages that are in the history can be edited and sent again
+function markMessageInHistory(messageDiv, historyIndex) {
+    messageDiv.dataset.historyIndex = historyIndex;
+    
+    if (messageDiv.classList.contains('user-message') && !messageDiv.querySelector('[data-action="edit"]')) {
+        getMessageActions(messageDiv).appendChild(createActionButton('edit', 'fa-pen', 'Edit', 'Edit and resend this message'));
+    }
+}
+
+// Function to move the "Regenerate response" action to the given bot message
+function setRegenerableMessage(chatMessages, messageDiv) {
+    chatMessages.querySelectorAll('[data-action="regenerate"]').forEach(button => button.remove());
+    
+    if (messageDiv) {
+        getMessageActions(messageDiv).appendChild(createActionButton('regenerate', 'fa-redo', 'Regenerate response', 'Ask for a new answer to the last question'));
+    }
+}
+
+// Function to remove a message and everything shown after it
+function removeMessagesFrom(chatMessages, messageDiv) {
+    while (messageDiv.nextSibling) {
+        messageDiv.nextSibling.remove();
+    }
+    messageDiv.remove();
+}
+
+// Function to swap a user message for an inline editor
+// onSubmit is called with the new text; cancelling restores the message
+function startMessageEdit(messageDiv, onSubmit) {
+    const messageContent = messageDiv.querySelector('.message-content');
+    if (messageDiv.classList.contains('editing')) return;
+    
+    const originalChildren = [...messageContent.childNodes];
+    const originalText = messageContent.firstChild.textContent;
+    messageDiv.classList.add('editing');
+    
+    const editor = document.createElement('textarea');
+    editor.classList.add('message-editor');
+    editor.value = originalText;
+    editor.rows = Math.min(10, originalText.split('\n').length + 1);
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.classList.add('message-editor-button');
+    cancelButton.textContent = 'Cancel';
+    
+    const submitButton = document.createElement('button');
+    submitButton.classList.add('message-editor-button', 'primary');
+    submitButton.textContent = 'Send';
+    
+    const editorActions = document.createElement('div');
+    editorActions.classList.add('message-editor-actions');
+    editorActions.appendChild(cancelButton);
+    editorActions.appendChild(submitButton);
+    
+    const finishEdit = () => {
+        messageDiv.classList.remove('editing');
+        messageContent.replaceChildren(...originalChildren);
+    };
+    
+    const submitEdit = () => {
+        const newText = editor.value.trim();
+        if (!newText) return;
+        finishEdit();
+        onSubmit(newText);
+    };
+    
+    cancelButton.addEventListener('click', finishEdit);
+    submitButton.addEventListener('click', submitEdit);
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitEdit();
+        } else if (e.key === 'Escape') {
+            finishEdit();
+        }
+    });
+    
+    messageContent.replaceChildren(editor, editorActions);
+    editor.focus();
 }
 
 // Function to show typing indicator
@@ -96,6 +438,22 @@ function showTypingIndicator(chatMessages) {
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Function to show a short status next to the typing indicator's dots, such as a retry in progress
+function setTypingIndicatorStatus(text) {
+    const typingIndicator = document.getElementById('typingIndicator');
+    if (!typingIndicator) return;
+    
+    let status = typingIndicator.querySelector('.typing-status');
+    if (!status) {
+        // Not a span, which the indicator's styles would turn into another dot
+        status = document.createElement('div');
+        status.classList.add('typing-status');
+        status.setAttribute('role', 'status');
+        typingIndicator.appendChild(status);
+    }
+    status.textContent = text;
+}
+
 // Function to remove typing indicator
 function removeTypingIndicator() {
     const typingIndicator = document.getElementById('typingIndicator');
@@ -104,6 +462,121 @@ function removeTypingIndicator() {
     }
 }
 
+// Function to swap the send button for the Stop button while a request is pending
+function setRequestPending(isPending) {
+    const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
+    
+    if (sendButton) {
+        sendButton.style.display = isPending ? 'none' : '';
+    }
+    
+    if (stopButton) {
+        stopButton.style.display = isPending ? '' : 'none';
+    }
+    
+    // Edit and regenerate are hidden until the current request settles
+    const chatMessages = document.getElementById('chatMessages');
+    if (chatMessages) {
+        chatMessages.classList.toggle('request-pending', isPending);
+    }
+}
+
+// Labels and icons for the delivery status of a message written while offline
+const DELIVERY_STATUSES = {
+    pending: { iconClass: 'fa-clock', label: 'Waiting to send' },
+    sending: { iconClass: 'fa-spinner', label: 'Sending…' },
+    sent: { iconClass: 'fa-check', label: 'Sent' },
+    failed: { iconClass: 'fa-exclamation-circle', label: 'Not sent' }
+};
+
+// Function to show whether a queued user message is waiting, being sent, sent or failed
+// detail explains a failure; failed messages get Retry and Discard actions
+function setMessageDeliveryStatus(messageDiv, status, detail = null) {
+    const messageContent = messageDiv.querySelector('.message-content');
+    let statusElement = messageContent.querySelector('.message-delivery-status');
+    if (!statusElement) {
+        statusElement = document.createElement('div');
+        statusElement.classList.add('message-delivery-status');
+        statusElement.setAttribute('role', 'status');
+        messageContent.appendChild(statusElement);
+    }
+
+    const { iconClass, label } = DELIVERY_STATUSES[status];
+    const icon = document.createElement('i');
+    icon.classList.add('fas', iconClass);
+    const text = document.createElement('span');
+    text.textContent = detail ? `${label}: ${detail}` : label;
+    statusElement.replaceChildren(icon, text);
+    messageDiv.dataset.deliveryStatus = status;
+
+    // Only a failed message can be retried or discarded
+    messageDiv.querySelectorAll('[data-action="retry-queued"], [data-action="discard-queued"]').forEach(button => button.remove());
+    if (status === 'failed') {
+        const actions = getMessageActions(messageDiv);
+        actions.appendChild(createActionButton('retry-queued', 'fa-redo', 'Retry', 'Try sending this message again'));
+        actions.appendChild(createActionButton('discard-queued', 'fa-trash-alt', 'Discard', 'Remove this message without sending it'));
+    }
+}
+
+// Function to show or hide the banner explaining that the app is offline or has messages waiting
+function updateConnectionBanner(isOnline, pendingCount) {
+    const statusIndicator = document.querySelector('.chat-header .status-indicator');
+    if (statusIndicator) {
+        statusIndicator.classList.toggle('online', isOnline);
+        statusIndicator.classList.toggle('offline', !isOnline);
+        statusIndicator.setAttribute('title', isOnline ? 'Online' : 'Offline');
+    }
+
+    const banner = document.getElementById('connectionBanner');
+    if (!banner) return;
+
+    const waiting = pendingCount === 1 ? '1 message is' : `${pendingCount} messages are`;
+    let text = null;
+    if (!isOnline) {
+        text = pendingCount > 0
+            ? `You're offline. ${waiting} waiting and will be sent when the connection returns.`
+            : "You're offline. Messages you send will be queued and sent when the connection returns.";
+    } else if (pendingCount > 0) {
+        text = `${waiting} waiting to be sent.`;
+    }
+
+    banner.classList.toggle('offline', !isOnline);
+    banner.textContent = text || '';
+    banner.hidden = !text;
+}
+
+// Function to ask whether conversations that can't be tied to an account belong to the signed-in user
+// Resolves with true if the user imports them and false if they say they aren't theirs
+function askToImportConversations(count) {
+    const container = document.getElementById('import-conversations-container');
+    const message = document.getElementById('import-conversations-message');
+    const importButton = document.getElementById('importConversationsButton');
+    const declineButton = document.getElementById('declineConversationsButton');
+    if (!container || !message || !importButton || !declineButton) {
+        return Promise.resolve(false);
+    }
+
+    const conversationCount = count === 1 ? '1 conversation' : `${count} conversations`;
+    message.textContent = `${conversationCount} saved on this device before each account kept its own were found. ` +
+        "Anyone who used the app here may have written them, so only import them if they're yours.";
+    container.style.display = 'block';
+    importButton.focus();
+
+    return new Promise(resolve => {
+        const answer = (accepted) => {
+            importButton.removeEventListener('click', accept);
+            declineButton.removeEventListener('click', decline);
+            container.style.display = 'none';
+            resolve(accepted);
+        };
+        const accept = () => answer(true);
+        const decline = () => answer(false);
+        importButton.addEventListener('click', accept);
+        declineButton.addEventListener('click', decline);
+    });
+}
+
 // Function to update document context UI
 function updateDocumentContextUI(documentContextActive, clearDocumentButton) {
     if (documentContextActive) {
@@ -116,25 +589,211 @@ function updateDocumentContextUI(documentContextActive, clearDocumentButton) {
 }
 
 // Function to update document status indicator
-function updateDocumentStatusIndicator(documentName) {
+function updateDocumentStatusIndicator(documents) {
     const statusIndicator = document.getElementById('document-status');
     
-    if (!statusIndicator) return;
+    // An upload's progress stays until hideUploadProgress, after which the documents are shown again
+    if (!statusIndicator || statusIndicator.classList.contains('uploading')) return;
     
-    if (documentName) {
-        statusIndicator.textContent = `Document in context: ${documentName}`;
+    if (documents.length === 1) {
+        statusIndicator.textContent = `Document in context: ${documents[0].name}`;
+        statusIndicator.style.display = 'inline-block';
+    } else if (documents.length > 1) {
+        statusIndicator.textContent = `${documents.length} documents in context`;
         statusIndicator.style.display = 'inline-block';
     } else {
         statusIndicator.style.display = 'none';
         statusIndicator.textContent = '';
     }
+    statusIndicator.removeAttribute('title');
+}
+
+// Function to show an upload's progress in the document status area, with a button to cancel it
+function showUploadProgress(fileName, onCancel) {
+    const statusIndicator = document.getElementById('document-status');
+    if (!statusIndicator) return;
+    
+    const icon = document.createElement('i');
+    icon.classList.add('fas', 'fa-file-upload');
+    
+    const name = document.createElement('span');
+    name.classList.add('upload-progress-name');
+    name.textContent = fileName;
+    
+    const bar = document.createElement('span');
+    bar.classList.add('upload-progress-bar');
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', `Uploading ${fileName}`);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', '0');
+    const fill = document.createElement('span');
+    fill.classList.add('upload-progress-fill');
+    bar.appendChild(fill);
+    
+    const details = document.createElement('span');
+    details.classList.add('upload-progress-details');
+    details.textContent = 'Starting upload...';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.classList.add('upload-cancel-button');
+    cancelButton.setAttribute('title', 'Cancel Upload');
+    const cancelIcon = document.createElement('i');
+    cancelIcon.classList.add('fas', 'fa-times');
+    cancelButton.appendChild(cancelIcon);
+    cancelButton.addEventListener('click', onCancel, { once: true });
+    
+    statusIndicator.replaceChildren(icon, name, bar, details, cancelButton);
+    statusIndicator.classList.add('uploading');
+    statusIndicator.removeAttribute('title');
+    statusIndicator.style.display = 'inline-flex';
+}
+
+// Function to update the upload progress shown by showUploadProgress
+function updateUploadProgress({ loaded, total, percent, secondsRemaining }) {
+    const statusIndicator = document.getElementById('document-status');
+    if (!statusIndicator || !statusIndicator.classList.contains('uploading')) return;
+    
+    const bar = statusIndicator.querySelector('.upload-progress-bar');
+    bar.setAttribute('aria-valuenow', String(percent));
+    statusIndicator.querySelector('.upload-progress-fill').style.width = `${percent}%`;
+    
+    const details = statusIndicator.querySelector('.upload-progress-details');
+    if (loaded >= total) {
+        // The server still has to read the document and answer
+        details.textContent = 'Processing document...';
+        return;
+    }
+    
+    details.textContent = `${percent}% · ${formatFileSize(loaded)} of ${formatFileSize(total)}`;
+    if (secondsRemaining !== null) {
+        details.textContent += ` · ${formatTimeRemaining(secondsRemaining)}`;
+    }
+}
+
+// Function to take the upload progress out of the document status area
+function hideUploadProgress() {
+    const statusIndicator = document.getElementById('document-status');
+    if (!statusIndicator || !statusIndicator.classList.contains('uploading')) return;
+    
+    statusIndicator.classList.remove('uploading');
+    statusIndicator.replaceChildren();
+    statusIndicator.style.display = 'none';
+}
+
+// Helper function to describe the time an upload has left
+function formatTimeRemaining(seconds) {
+    if (seconds < 60) return `${seconds}s left`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} min left`;
+}
+
+// Function to list a conversation's documents in the document panel
+// The panel is hidden while the conversation has no documents
+function renderDocumentPanel(documents) {
+    const documentPanel = document.getElementById('documentPanel');
+    const documentList = document.getElementById('documentList');
+    if (!documentPanel || !documentList) return;
+    
+    documentList.replaceChildren(...documents.map(createDocumentItem));
+    documentPanel.hidden = documents.length === 0;
+}
+
+// Helper function to build one entry of the document panel
+function createDocumentItem(doc) {
+    const item = document.createElement('li');
+    item.classList.add('document-item');
+    // The document kept from before conversations could hold several has no ID
+    item.dataset.documentId = doc.id || '';
+    
+    const icon = document.createElement('i');
+    icon.classList.add('fas', getDocumentIconClass(doc.name), 'document-icon');
+    item.appendChild(icon);
+    
+    const info = document.createElement('div');
+    info.classList.add('document-info');
+    
+    const name = document.createElement('div');
+    name.classList.add('document-name');
+    name.textContent = doc.name;
+    name.setAttribute('title', doc.name);
+    info.appendChild(name);
+    
+    // Size and upload time aren't known for documents added before they were recorded
+    const details = [];
+    if (typeof doc.size === 'number') {
+        details.push(formatFileSize(doc.size));
+    }
+    if (doc.uploadedAt) {
+        const uploadedAt = new Date(doc.uploadedAt);
+        const time = uploadedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        details.push(uploadedAt.toDateString() === new Date().toDateString()
+            ? `Uploaded ${time}`
+            : `Uploaded ${uploadedAt.toLocaleDateString()} ${time}`);
+    }
+    if (details.length > 0) {
+        const meta = document.createElement('div');
+        meta.classList.add('document-meta');
+        meta.textContent = details.join(' · ');
+        info.appendChild(meta);
+    }
+    item.appendChild(info);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.classList.add('document-remove-button');
+    removeButton.dataset.action = 'remove-document';
+    removeButton.setAttribute('title', `Remove ${doc.name} from the conversation`);
+    removeButton.setAttribute('aria-label', `Remove ${doc.name} from the conversation`);
+    const removeIcon = document.createElement('i');
+    removeIcon.classList.add('fas', 'fa-times');
+    removeButton.appendChild(removeIcon);
+    item.appendChild(removeButton);
+    
+    return item;
+}
+
+// Helper function to pick a Font Awesome icon for a document from its file extension
+function getDocumentIconClass(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'pdf') return 'fa-file-pdf';
+    if (extension === 'docx' || extension === 'doc') return 'fa-file-word';
+    if (extension === 'xlsx' || extension === 'xls') return 'fa-file-excel';
+    return 'fa-file-alt';
+}
+
+// Helper function to format file size
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
 // Export functions
 export { 
     addMessage, 
+    createStreamingMessage,
+    updateStreamingMessage,
+    finalizeStreamingMessage,
+    renderConversationHistory,
+    markMessageInHistory,
+    setRegenerableMessage,
+    removeMessagesFrom,
+    startMessageEdit,
     showTypingIndicator, 
+    setTypingIndicatorStatus, 
     removeTypingIndicator, 
+    setRequestPending,
+    setMessageDeliveryStatus,
+    updateConnectionBanner,
+    askToImportConversations,
     updateDocumentContextUI,
-    updateDocumentStatusIndicator 
+    updateDocumentStatusIndicator,
+    renderDocumentPanel,
+    showUploadProgress,
+    updateUploadProgress,
+    hideUploadProgress,
+    formatFileSize 
 };
@@ -0,0 +1,299 @@
+/**
+ * File upload transport for the chat application
+ * Sends documents with progress reporting, and in resumable chunks when they are large
+ */
+
+import { NetworkError, ServerError, createErrorFromResponse } from './errors.js';
+import { waitForRetry } from './retry.js';
+import { withAuthentication, authenticatedFetch } from './auth-fetch.js';
+import { loadPendingUpload, savePendingUpload, removePendingUpload } from './storage.js';
+
+// Files larger than this are sent in chunks, so a dropped connection only loses the chunk in flight
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024;
+
+// Attempts at each chunk before giving up; the wait doubles after every failure
+const MAX_CHUNK_ATTEMPTS = 5;
+const CHUNK_RETRY_DELAY = 1000;
+
+// Raised when a chunked upload stops partway; sending the file again resumes from receivedBytes
+class UploadInterruptedError extends Error {
+    constructor(message, receivedBytes, totalBytes) {
+        super(message);
+        this.name = 'UploadInterruptedError';
+        this.receivedBytes = receivedBytes;
+        this.totalBytes = totalBytes;
+    }
+}
+
+// Helper function to create the error a cancelled upload rejects with, matching fetch
+function createAbortError() {
+    return new DOMException('The upload was cancelled.', 'AbortError');
+}
+
+// Helper function to identify a file within a conversation
+function getUploadKey(file, clientSessionId) {
+    return [clientSessionId, file.name, file.size, file.lastModified].join(':');
+}
+
+// Helper function to find an earlier upload of a file, kept in IndexedDB so it survives a reload or sign-in redirect
+// Sending the same file again continues that upload instead of starting over
+async function findPendingUpload(uploadKey) {
+    try {
+        return await loadPendingUpload(uploadKey) || null;
+    } catch (error) {
+        console.warn('Could not read earlier uploads:', error);
+        return null;
+    }
+}
+
+// Helper function to record how far a chunked upload has got without holding up the upload
+function rememberPendingUpload(pendingUpload) {
+    savePendingUpload(pendingUpload).catch(error => {
+        console.warn(`Failed to save progress of upload ${pendingUpload.uploadId}:`, error);
+    });
+}
+
+// Helper function to stop tracking a chunked upload
+function forgetPendingUpload(uploadKey) {
+    removePendingUpload(uploadKey).catch(error => {
+        console.warn('Failed to remove finished upload from storage:', error);
+    });
+}
+
+// Helper function to turn upload progress into the figures shown to the user
+// Speed is measured from the bytes sent since this upload (or resume) started
+function createProgressReporter(total, startingBytes, onProgress) {
+    const startedAt = Date.now();
+
+    return (loaded) => {
+        if (!onProgress) return;
+
+        const elapsedSeconds = (Date.now() - startedAt) / 1000;
+        const bytesPerSecond = elapsedSeconds > 0 ? (loaded - startingBytes) / elapsedSeconds : 0;
+
+        onProgress({
+            loaded,
+            total,
+            percent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 100,
+            bytesPerSecond,
+            secondsRemaining: bytesPerSecond > 0 ? Math.ceil((total - loaded) / bytesPerSecond) : null
+        });
+    };
+}
+
+// Function to send a request with XMLHttpRequest, which unlike fetch reports upload progress
+// Resolves with a fetch-like response; rejects with an AbortError when the signal fires
+// and a NetworkError when the server can't be reached
+// The user's access token is added, and renewed if the server rejects it
+function sendRequest(method, url, body, { headers = {}, signal, onUploadProgress } = {}) {
+    return withAuthentication(authorizationHeaders => sendXhrRequest(method, url, body, {
+        headers: { ...headers, ...authorizationHeaders },
+        signal,
+        onUploadProgress
+    }));
+}
+
+// Helper function to send one XMLHttpRequest for sendRequest
+function sendXhrRequest(method, url, body, { headers, signal, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.withCredentials = true; // Ensure cookies are sent
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        if (onUploadProgress) {
+            xhr.upload.onprogress = (e) => onUploadProgress(e.loaded);
+        }
+
+        const handleAbort = () => xhr.abort();
+        if (signal) {
+            signal.addEventListener('abort', handleAbort, { once: true });
+        }
+        const cleanUp = () => {
+            if (signal) {
+                signal.removeEventListener('abort', handleAbort);
+            }
+        };
+
+        xhr.onload = () => {
+            cleanUp();
+            const responseText = xhr.responseText;
+            resolve({
+                ok: xhr.status >= 200 && xhr.status < 300,
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: { get: name => xhr.getResponseHeader(name) },
+                text: async () => responseText,
+                json: async () => JSON.parse(responseText)
+            });
+        };
+        xhr.onerror = () => {
+            cleanUp();
+            reject(new NetworkError('The connection was lost while uploading.'));
+        };
+        xhr.onabort = () => {
+            cleanUp();
+            reject(createAbortError());
+        };
+
+        xhr.send(body);
+    });
+}
+
+// Function to upload a form in one request, reporting progress for the file it contains
+function uploadWithProgress(url, formData, file, { signal, onProgress } = {}) {
+    // The request body also carries the other form fields, so progress is capped at the file size
+    const reportProgress = createProgressReporter(file.size, 0, onProgress);
+    reportProgress(0);
+
+    return sendRequest('POST', url, formData, {
+        signal,
+        onUploadProgress: loaded => reportProgress(Math.min(loaded, file.size))
+    });
+}
+
+// Helper function to ask the server how much of an upload it has, or return null if it has none
+async function getReceivedBytes(uploadId, signal) {
+    const response = await authenticatedFetch(`/api/document-chat/uploads/${uploadId}`, {
+        credentials: 'same-origin',
+        cache: 'no-cache',
+        signal
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw await createErrorFromResponse(response);
+
+    const data = await response.json();
+    return data.receivedBytes;
+}
+
+// Helper function to resume an earlier upload of this file, or start a new one
+async function startOrResumeUpload(file, uploadKey, clientSessionId, signal) {
+    const pendingUpload = await findPendingUpload(uploadKey);
+    if (pendingUpload) {
+        try {
+            // The server's count wins over the saved one, which may miss the last chunk it received
+            const receivedBytes = await getReceivedBytes(pendingUpload.uploadId, signal);
+            if (receivedBytes !== null) {
+                console.log(`Resuming upload ${pendingUpload.uploadId} of ${file.name} at byte ${receivedBytes} (saved at byte ${pendingUpload.receivedBytes})`);
+                return { ...pendingUpload, receivedBytes };
+            }
+            console.log(`Upload ${pendingUpload.uploadId} expired on the server, starting again`);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not check earlier upload, starting again:', error);
+        }
+        forgetPendingUpload(uploadKey);
+    }
+
+    const response = await authenticatedFetch('/api/document-chat/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, fileSize: file.size, clientSessionId }),
+        credentials: 'same-origin',
+        cache: 'no-cache',
+        signal
+    });
+
+    if (!response.ok) {
+        throw await createErrorFromResponse(response);
+    }
+
+    const data = await response.json();
+    const upload = { key: uploadKey, uploadId: data.uploadId, chunkSize: data.chunkSize, receivedBytes: data.receivedBytes };
+    rememberPendingUpload(upload);
+    console.log(`Started upload ${upload.uploadId} of ${file.name} in ${upload.chunkSize} byte chunks`);
+    return upload;
+}
+
+// Function to upload a file in chunks, resuming an earlier upload of the same file if there is one
+// Resolves with the upload ID once the server has the whole file
+async function uploadInChunks(file, clientSessionId, { signal, onProgress } = {}) {
+    const uploadKey = getUploadKey(file, clientSessionId);
+    const { uploadId, chunkSize, receivedBytes } = await startOrResumeUpload(file, uploadKey, clientSessionId, signal);
+
+    const reportProgress = createProgressReporter(file.size, receivedBytes, onProgress);
+    let offset = receivedBytes;
+    let failedAttempts = 0;
+    reportProgress(offset);
+
+    while (offset < file.size) {
+        const chunkStart = offset;
+        let failure = null;
+
+        try {
+            const response = await sendRequest('PUT', `/api/document-chat/uploads/${uploadId}?offset=${chunkStart}`, file.slice(chunkStart, chunkStart + chunkSize), {
+                headers: { 'Content-Type': 'application/octet-stream' },
+                signal,
+                onUploadProgress: loaded => reportProgress(chunkStart + loaded)
+            });
+
+            if (response.ok || response.status === 409) {
+                // A conflict means the server has a different amount than expected, so continue from there
+                const data = await response.json();
+                offset = data.receivedBytes;
+                failedAttempts = 0;
+                reportProgress(offset);
+                rememberPendingUpload({ key: uploadKey, uploadId, chunkSize, receivedBytes: offset });
+                continue;
+            }
+
+            if (response.status === 404) {
+                // The server no longer has the upload, so the next attempt must start over
+                forgetPendingUpload(uploadKey);
+            }
+            throw await createErrorFromResponse(response);
+        } catch (error) {
+            // Dropped connections and server errors are retried; cancellation and rejected chunks are not
+            if (!(error instanceof NetworkError) && !(error instanceof ServerError)) throw error;
+            failure = error;
+        }
+
+        failedAttempts++;
+        console.warn(`Chunk at byte ${chunkStart} of ${file.name} failed (attempt ${failedAttempts} of ${MAX_CHUNK_ATTEMPTS}):`, failure);
+
+        if (failedAttempts >= MAX_CHUNK_ATTEMPTS) {
+            const percent = Math.round((offset / file.size) * 100);
+            throw new UploadInterruptedError(
+                `The upload of ${file.name} stopped at ${percent}%. Add the file again to continue from there.`,
+                offset,
+                file.size
+            );
+        }
+
+        await waitForRetry(CHUNK_RETRY_DELAY * 2 ** (failedAttempts - 1), signal);
+
+        // The chunk may have arrived even though its response didn't, so ask where to continue
+        try {
+            const serverBytes = await getReceivedBytes(uploadId, signal);
+            if (serverBytes !== null) {
+                offset = serverBytes;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // Try the same chunk again; a wrong offset is corrected by the server's conflict response
+        }
+    }
+
+    console.log(`Upload ${uploadId} of ${file.name} complete`);
+    return uploadId;
+}
+
+// Function to forget a chunked upload once its file is in the conversation
+function forgetChunkedUpload(file, clientSessionId) {
+    forgetPendingUpload(getUploadKey(file, clientSessionId));
+}
+
+// Export upload functions
+export {
+    CHUNKED_UPLOAD_THRESHOLD,
+    UploadInterruptedError,
+    uploadWithProgress,
+    uploadInChunks,
+    forgetChunkedUpload
+};
@@ -0,0 +1,73 @@
+/**
+ * Tests for validateFile (document-handler.js), which rejects files the server would refuse before they are uploaded
+ * Files are plain { name, size } objects, since only those two properties are checked
+ */
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+let validateFile;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' });
+
+    // The modules are written for the browser, so give them its globals
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.navigator = dom.window.navigator;
+
+    ({ validateFile } = await import('../Backend/wwwroot/js/document-handler.js'));
+});
+
+describe('validateFile', () => {
+    test('accepts PDF, Word and Excel files', () => {
+        ['report.pdf', 'notes.docx', 'figures.xlsx', 'archive.2024.pdf'].forEach(name => {
+            assert.equal(validateFile({ name, size: 1024 }), null, `${name} should be accepted`);
+        });
+    });
+
+    test('accepts extensions in any case', () => {
+        ['REPORT.PDF', 'Notes.Docx', 'figures.XLSX'].forEach(name => {
+            assert.equal(validateFile({ name, size: 1024 }), null, `${name} should be accepted`);
+        });
+    });
+
+    test('rejects other file types and names the type', () => {
+        const message = validateFile({ name: 'setup.exe', size: 1024 });
+        assert.match(message, /^\.exe files can't be uploaded/);
+        assert.match(message, /PDF \(\.pdf\), Word \(\.docx\) or Excel \(\.xlsx\)/);
+
+        ['notes.doc', 'sheet.xls', 'image.png', 'report.pdf.zip'].forEach(name => {
+            assert.ok(validateFile({ name, size: 1024 }), `${name} should be rejected`);
+        });
+    });
+
+    test('rejects files without an extension', () => {
+        ['README', '.pdf', 'report.'].forEach(name => {
+            assert.ok(validateFile({ name, size: 1024 }), `${name} should be rejected`);
+        });
+        assert.match(validateFile({ name: 'README', size: 1024 }), /^Files without an extension can't be uploaded/);
+    });
+
+    test('rejects empty files', () => {
+        assert.equal(validateFile({ name: 'empty.pdf', size: 0 }), 'empty.pdf is empty. Please choose a file that has content.');
+    });
+
+    test('accepts files up to the server limit', () => {
+        assert.equal(validateFile({ name: 'large.pdf', size: MAX_FILE_SIZE }), null);
+    });
+
+    test('rejects files over the server limit with both sizes', () => {
+        const message = validateFile({ name: 'huge.pdf', size: MAX_FILE_SIZE + 1 });
+        assert.match(message, /^huge\.pdf is /);
+        assert.match(message, /Files must be 50 MB or smaller\.$/);
+    });
+
+    test('checks the type before the size', () => {
+        assert.match(validateFile({ name: 'huge.exe', size: MAX_FILE_SIZE + 1 }), /^\.exe files can't be uploaded/);
+        assert.match(validateFile({ name: 'empty.exe', size: 0 }), /^\.exe files can't be uploaded/);
+    });
+});
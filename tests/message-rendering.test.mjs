@@ -0,0 +1,155 @@
+/**
+ * Tests that hostile text in chat messages is never rendered as live markup
+ * Messages go through addMessage (ui.js) and renderMarkdown (markdown.js) in a jsdom page
+ */
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+// Strings that would run script if they reached the page as HTML
+const HOSTILE_STRINGS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)></svg>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<a href="javascript:alert(1)" onclick="alert(1)">click</a>',
+    '<div onmouseover="alert(1)">hover</div>',
+    '"><script>alert(1)</script>'
+];
+
+// Ways each hostile string can be wrapped in the Markdown the model writes
+const MARKDOWN_WRAPPERS = {
+    'plain text': payload => payload,
+    'inline code': payload => `Run \`${payload}\` now`,
+    'fenced code': payload => '```html\n' + payload + '\n```',
+    'link text': payload => `[${payload}](https://example.com)`,
+    'table': payload => `| Name | Value |\n| --- | --- |\n| ${payload} | \`${payload}\` |`,
+    'emphasis': payload => `**${payload}** and _${payload}_`,
+    'list': payload => `- ${payload}\n- second`
+};
+
+// Links whose URL would run script or load something other than a web page
+const HOSTILE_LINKS = [
+    '[click](javascript:alert(1))',
+    '[click](JaVaScRiPt:alert(1))',
+    '[click]( javascript:alert(1))',
+    '[click](java\tscript:alert(1))',
+    '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '[click](vbscript:msgbox(1))',
+    '<javascript:alert(1)>',
+    '[click](https://example.com" onclick="alert(1))'
+];
+
+const EXECUTABLE_ELEMENTS = 'script, img, iframe, svg, object, embed, style, link, meta, form';
+
+let ui;
+let markdown;
+let window;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><div id="chatMessages"></div><textarea id="userInput"></textarea>', {
+        url: 'http://localhost/'
+    });
+    window = dom.window;
+
+    // The modules are written for the browser, so give them its globals
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.navigator = window.navigator;
+    globalThis.Node = window.Node;
+    globalThis.HTMLElement = window.HTMLElement;
+    globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+    globalThis.cancelAnimationFrame = clearTimeout;
+
+    ui = await import('../Backend/wwwroot/js/ui.js');
+    markdown = await import('../Backend/wwwroot/js/markdown.js');
+});
+
+// Helper function to check that rendered content holds nothing executable
+function assertNothingExecutable(container, input) {
+    const executable = container.querySelectorAll(EXECUTABLE_ELEMENTS);
+    assert.equal(executable.length, 0, `Executable element rendered for ${JSON.stringify(input)}: ${container.innerHTML}`);
+
+    container.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(attribute => {
+            assert.ok(!attribute.name.toLowerCase().startsWith('on'),
+                `Event handler attribute ${attribute.name} rendered for ${JSON.stringify(input)}`);
+        });
+    });
+
+    container.querySelectorAll('[href], [src], [action], [formaction]').forEach(element => {
+        const url = element.getAttribute('href') ?? element.getAttribute('src') ?? element.getAttribute('action') ?? element.getAttribute('formaction');
+        assert.match(url, /^(https?:|mailto:)/i, `Unsafe URL ${url} rendered for ${JSON.stringify(input)}`);
+    });
+}
+
+// Helper function to render text with addMessage and return the message element
+function addMessageFor(text, sender) {
+    const chatMessages = window.document.getElementById('chatMessages');
+    chatMessages.replaceChildren();
+    return ui.addMessage(text, sender, chatMessages, null, { scroll: false });
+}
+
+describe('addMessage', () => {
+    for (const sender of ['bot', 'system', 'user']) {
+        for (const [wrapperName, wrap] of Object.entries(MARKDOWN_WRAPPERS)) {
+            test(`renders hostile HTML in ${wrapperName} of a ${sender} message as text`, () => {
+                HOSTILE_STRINGS.forEach(payload => {
+                    const input = wrap(payload);
+                    const messageDiv = addMessageFor(input, sender);
+                    assertNothingExecutable(messageDiv, input);
+                });
+            });
+        }
+
+        test(`drops unsafe link URLs in a ${sender} message`, () => {
+            HOSTILE_LINKS.forEach(input => {
+                const messageDiv = addMessageFor(input, sender);
+                assertNothingExecutable(messageDiv, input);
+            });
+        });
+    }
+
+    test('keeps hostile code as visible text', () => {
+        const messageDiv = addMessageFor('Use `<script>alert(1)</script>` carefully', 'bot');
+        const code = messageDiv.querySelector('code');
+        assert.ok(code, 'inline code is rendered as a code element');
+        assert.equal(code.textContent, '<script>alert(1)</script>');
+    });
+});
+
+describe('renderMarkdown', () => {
+    // Helper function to render Markdown into a fresh container
+    function render(text) {
+        const container = window.document.createElement('div');
+        markdown.renderMarkdown(text, container);
+        return container;
+    }
+
+    for (const [wrapperName, wrap] of Object.entries(MARKDOWN_WRAPPERS)) {
+        test(`renders hostile HTML in ${wrapperName} as text`, () => {
+            HOSTILE_STRINGS.forEach(payload => {
+                const input = wrap(payload);
+                assertNothingExecutable(render(input), input);
+            });
+        });
+    }
+
+    test('drops unsafe link URLs', () => {
+        HOSTILE_LINKS.forEach(input => assertNothingExecutable(render(input), input));
+    });
+
+    test('keeps safe links', () => {
+        const container = render('[docs](https://example.com/docs) and [mail](mailto:help@example.com)');
+        const hrefs = [...container.querySelectorAll('a')].map(link => link.getAttribute('href'));
+        assert.deepEqual(hrefs, ['https://example.com/docs', 'mailto:help@example.com']);
+    });
+
+    test('renders tables with hostile cells as text', () => {
+        const container = render('| A | B |\n| --- | --- |\n| <img src=x onerror=alert(1)> | [x](javascript:alert(1)) |');
+        assert.ok(container.querySelector('table'), 'the table is rendered');
+        assertNothingExecutable(container, 'table');
+        assert.match(container.querySelector('td').textContent, /<img src=x onerror=alert\(1\)>/);
+    });
+});
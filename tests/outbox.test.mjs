@@ -0,0 +1,131 @@
+/**
+ * Tests for the order the outbox (outbox.js) sends queued messages in, and for trying failed ones again
+ * jsdom has no IndexedDB, so the queue is only kept in memory
+ */
+
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+let outbox;
+let window;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' });
+    window = dom.window;
+
+    // The modules are written for the browser, so give them its globals
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.navigator = window.navigator;
+
+    outbox = await import('../Backend/wwwroot/js/outbox.js');
+    await outbox.initializeOutbox();
+});
+
+beforeEach(() => {
+    outbox.getQueuedMessages().forEach(queuedMessage => outbox.removeQueuedMessage(queuedMessage.id));
+});
+
+// Helper function to list the queued messages' text in queue order
+function queuedTexts(conversationId = null) {
+    return outbox.getQueuedMessages(conversationId).map(queuedMessage => queuedMessage.message);
+}
+
+describe('outbox queue order', () => {
+    test('sends messages in the order they were written', () => {
+        const first = outbox.queueMessage('conversation-a', 'first');
+        outbox.queueMessage('conversation-b', 'second');
+        outbox.queueMessage('conversation-a', 'third');
+
+        assert.deepEqual(queuedTexts(), ['first', 'second', 'third']);
+        assert.equal(outbox.getNextQueuedMessage(), first);
+
+        outbox.removeQueuedMessage(first.id);
+        assert.equal(outbox.getNextQueuedMessage().message, 'second');
+    });
+
+    test('lists one conversation\'s messages in order', () => {
+        outbox.queueMessage('conversation-a', 'first');
+        outbox.queueMessage('conversation-b', 'second');
+        outbox.queueMessage('conversation-a', 'third');
+
+        assert.deepEqual(queuedTexts('conversation-a'), ['first', 'third']);
+        assert.deepEqual(queuedTexts('conversation-b'), ['second']);
+    });
+
+    test('puts a message written earlier ahead of those written after it', () => {
+        const sentAt = new Date(Date.now() - 60000).toISOString();
+        outbox.queueMessage('conversation-a', 'written while waiting');
+        const lostConnection = outbox.queueMessage('conversation-a', 'in flight when the connection dropped', { queuedAt: sentAt });
+
+        assert.equal(lostConnection.queuedAt, sentAt);
+        assert.deepEqual(queuedTexts(), ['in flight when the connection dropped', 'written while waiting']);
+        assert.equal(outbox.getNextQueuedMessage(), lostConnection);
+    });
+
+    test('skips messages being sent or that failed', () => {
+        const sending = outbox.queueMessage('conversation-a', 'sending');
+        const failed = outbox.queueMessage('conversation-a', 'failed');
+        outbox.queueMessage('conversation-a', 'waiting');
+
+        outbox.setQueuedMessageStatus(sending.id, 'sending');
+        outbox.setQueuedMessageStatus(failed.id, 'failed', 'The file is too large.');
+
+        assert.equal(outbox.getNextQueuedMessage().message, 'waiting');
+        assert.equal(failed.error, 'The file is too large.');
+        // A message being sent still holds back new ones; a failed one waits for the user
+        assert.equal(outbox.getPendingMessageCount(), 2);
+    });
+
+    test('returns null when nothing is waiting', () => {
+        assert.equal(outbox.getNextQueuedMessage(), null);
+        assert.equal(outbox.getPendingMessageCount(), 0);
+    });
+});
+
+describe('requeueMessage', () => {
+    test('sends a failed message again after those already waiting', () => {
+        const failed = outbox.queueMessage('conversation-a', 'failed');
+        outbox.queueMessage('conversation-a', 'waiting');
+        outbox.setQueuedMessageStatus(failed.id, 'failed', 'The server is busy.');
+        const failedAt = failed.queuedAt;
+
+        outbox.requeueMessage(failed.id);
+
+        assert.deepEqual(queuedTexts(), ['waiting', 'failed']);
+        assert.equal(failed.status, 'pending');
+        assert.equal(failed.error, null);
+        assert.ok(failed.queuedAt >= failedAt);
+        assert.equal(outbox.getPendingMessageCount(), 2);
+        assert.equal(outbox.getNextQueuedMessage().message, 'waiting');
+    });
+
+    test('ignores messages no longer queued', () => {
+        outbox.queueMessage('conversation-a', 'waiting');
+        outbox.requeueMessage('queued-unknown');
+
+        assert.deepEqual(queuedTexts(), ['waiting']);
+    });
+
+    test('tells listeners about the change', () => {
+        const failed = outbox.queueMessage('conversation-a', 'failed');
+        outbox.setQueuedMessageStatus(failed.id, 'failed', 'The server is busy.');
+
+        let changes = 0;
+        outbox.onOutboxChanged(() => changes++);
+        outbox.requeueMessage(failed.id);
+
+        assert.ok(changes > 0);
+    });
+});
+
+describe('connection state', () => {
+    test('follows the browser\'s online and offline events', () => {
+        window.dispatchEvent(new window.Event('offline'));
+        assert.equal(outbox.isOnline(), false);
+
+        window.dispatchEvent(new window.Event('online'));
+        assert.equal(outbox.isOnline(), true);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the retry policy in retry.js, in particular how it follows the server's Retry-After
+ * Delays are kept at zero seconds, or the request is cancelled, so nothing here actually waits
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RETRY_OPTIONS, getRetryDelay, withRetry } from '../Backend/wwwroot/js/retry.js';
+import {
+    NetworkError,
+    RateLimitError,
+    ServerError,
+    ValidationError,
+    createErrorFromResponse
+} from '../Backend/wwwroot/js/errors.js';
+
+// Helper function to build an operation that fails with the given errors in turn, then succeeds
+function failingOperation(errors, result = 'ok') {
+    const operation = async attempt => {
+        operation.attempts.push(attempt);
+        if (errors.length > 0) throw errors.shift();
+        return result;
+    };
+    operation.attempts = [];
+    return operation;
+}
+
+describe('getRetryDelay', () => {
+    test('waits as long as Retry-After asks on a 429', () => {
+        assert.equal(getRetryDelay(new RateLimitError('busy', 5), 1), 5000);
+    });
+
+    test('waits as long as Retry-After asks on a 503', () => {
+        assert.equal(getRetryDelay(new ServerError('unavailable', 503, 2), 1), 2000);
+    });
+
+    test('retries straight away when Retry-After is zero', () => {
+        assert.equal(getRetryDelay(new RateLimitError('busy', 0), 1), 0);
+    });
+
+    test('gives up when Retry-After is longer than maxDelay', () => {
+        assert.equal(getRetryDelay(new RateLimitError('busy', 60), 1), null);
+        assert.equal(getRetryDelay(new ServerError('unavailable', 503, 5), 1, { maxDelay: 4000 }), null);
+    });
+
+    test('gives up once the attempts have run out, whatever Retry-After says', () => {
+        assert.equal(getRetryDelay(new RateLimitError('busy', 1), DEFAULT_RETRY_OPTIONS.maxAttempts), null);
+        assert.equal(getRetryDelay(new RateLimitError('busy', 1), 2, { maxAttempts: 2 }), null);
+        assert.equal(getRetryDelay(new RateLimitError('busy', 1), 1, { maxAttempts: 1 }), null);
+    });
+
+    test('does not retry errors that will fail again', () => {
+        assert.equal(getRetryDelay(new ServerError('failed', 500, 1), 1), null);
+        assert.equal(getRetryDelay(new ValidationError('bad request', 400), 1), null);
+        assert.equal(getRetryDelay(new Error('unexpected'), 1), null);
+    });
+
+    test('backs off exponentially with jitter without Retry-After', () => {
+        for (let i = 0; i < 20; i++) {
+            const first = getRetryDelay(new NetworkError(), 1);
+            assert.ok(first >= 500 && first <= 1000, `first retry waited ${first}ms`);
+
+            const third = getRetryDelay(new ServerError('bad gateway', 502), 3, { maxAttempts: 5 });
+            assert.ok(third >= 2000 && third <= 4000, `third retry waited ${third}ms`);
+
+            const capped = getRetryDelay(new NetworkError(), 9, { maxAttempts: 10 });
+            assert.ok(capped >= 15000 && capped <= 30000, `late retry waited ${capped}ms`);
+        }
+    });
+});
+
+describe('withRetry', () => {
+    test('retries after the Retry-After wait and returns the result', async () => {
+        const operation = failingOperation([new RateLimitError('busy', 0), new ServerError('unavailable', 503, 0)]);
+        const retries = [];
+
+        const result = await withRetry(operation, { onRetry: retry => retries.push(retry) });
+
+        assert.equal(result, 'ok');
+        assert.deepEqual(operation.attempts, [1, 2, 3]);
+        assert.deepEqual(retries.map(({ attempt, maxAttempts, delay }) => ({ attempt, maxAttempts, delay })), [
+            { attempt: 2, maxAttempts: 3, delay: 0 },
+            { attempt: 3, maxAttempts: 3, delay: 0 }
+        ]);
+    });
+
+    test('throws the last error once maxAttempts is reached', async () => {
+        const lastError = new RateLimitError('still busy', 0);
+        const operation = failingOperation([new RateLimitError('busy', 0), lastError]);
+
+        await assert.rejects(withRetry(operation, { maxAttempts: 2 }), error => error === lastError);
+        assert.deepEqual(operation.attempts, [1, 2]);
+    });
+
+    test('does not retry when the server asks for a longer wait than maxDelay', async () => {
+        const error = new ServerError('unavailable', 503, 120);
+        const operation = failingOperation([error]);
+
+        await assert.rejects(withRetry(operation), rejected => rejected === error);
+        assert.deepEqual(operation.attempts, [1]);
+    });
+
+    test('stops waiting with an AbortError when the request is cancelled', async () => {
+        const controller = new AbortController();
+        const operation = failingOperation([new RateLimitError('busy', 10)]);
+
+        await assert.rejects(
+            withRetry(operation, { signal: controller.signal, onRetry: () => controller.abort() }),
+            { name: 'AbortError' }
+        );
+        assert.deepEqual(operation.attempts, [1]);
+    });
+});
+
+describe('Retry-After from a response', () => {
+    test('is read in seconds', async () => {
+        const response = new Response('{"error":"Too busy"}', { status: 429, headers: { 'Retry-After': '7' } });
+        const error = await createErrorFromResponse(response);
+
+        assert.ok(error instanceof RateLimitError);
+        assert.equal(error.retryAfter, 7);
+        assert.equal(error.message, 'Too busy');
+        assert.equal(getRetryDelay(error, 1), 7000);
+    });
+
+    test('is read as a date', async () => {
+        const retryAt = new Date(Date.now() + 10000).toUTCString();
+        const response = new Response('', { status: 503, headers: { 'Retry-After': retryAt } });
+        const error = await createErrorFromResponse(response);
+
+        assert.ok(error instanceof ServerError);
+        assert.ok(error.retryAfter >= 8 && error.retryAfter <= 11, `Retry-After read as ${error.retryAfter}s`);
+    });
+
+    test('is left out when the header is missing', async () => {
+        const error = await createErrorFromResponse(new Response('', { status: 503 }));
+        assert.equal(error.retryAfter, null);
+    });
+});
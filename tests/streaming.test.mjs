@@ -0,0 +1,159 @@
+/**
+ * Tests that streamed chat responses are read correctly from the server's Server-Sent Events
+ * streamChatAPI (api.js) runs against a fake fetch that sends the events in chosen pieces
+ */
+
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+let api;
+let conversations;
+
+// The pieces the fake server sends for the next streaming request
+let streamChunks = [];
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><div id="chatMessages"></div>', { url: 'http://localhost/' });
+    const window = dom.window;
+
+    // The modules are written for the browser, so give them its globals
+    // jsdom has no IndexedDB, so conversations are only kept in memory
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.navigator = window.navigator;
+    globalThis.Node = window.Node;
+    globalThis.HTMLElement = window.HTMLElement;
+
+    globalThis.fetch = async url => {
+        if (url === '/api/config/capabilities') {
+            return Response.json({ documentChat: true, chunkedUploads: true, streaming: true });
+        }
+        if (url === '/api/chat/stream') {
+            return createStreamResponse(streamChunks);
+        }
+        return new Response('Not found', { status: 404 });
+    };
+
+    conversations = await import('../Backend/wwwroot/js/conversations.js');
+    api = await import('../Backend/wwwroot/js/api.js');
+    await conversations.initializeConversations();
+});
+
+beforeEach(() => {
+    conversations.createConversation();
+});
+
+// Helper function to build a streaming response that sends each chunk as a separate read
+// Chunks are strings, or bytes to split a character across reads
+function createStreamResponse(chunks) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+            controller.close();
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// Helper function to stream a message's answer and collect the pieces yielded
+async function streamAnswer(chunks, { message = 'Question', conversation = conversations.getActiveConversation() } = {}) {
+    streamChunks = chunks;
+    const deltas = [];
+    for await (const delta of api.streamChatAPI(message, { conversation, retry: { maxAttempts: 1 } })) {
+        deltas.push(delta);
+    }
+    return deltas;
+}
+
+describe('streamChatAPI', () => {
+    test('yields each delta in order and records the exchange', async () => {
+        const deltas = await streamAnswer([
+            'data: {"delta":"Hello"}\n\ndata: {"delta":", "}\n\n',
+            'data: {"delta":"world"}\n\nevent: done\ndata: {"documents":[]}\n\n'
+        ]);
+
+        assert.deepEqual(deltas, ['Hello', ', ', 'world']);
+        const { history } = conversations.getActiveConversation();
+        assert.deepEqual(history.map(({ role, content }) => ({ role, content })), [
+            { role: 'user', content: 'Question' },
+            { role: 'assistant', content: 'Hello, world' }
+        ]);
+    });
+
+    test('joins events split across reads', async () => {
+        const deltas = await streamAnswer([
+            'data: {"del',
+            'ta":"Split"}',
+            '\n',
+            '\ndata: {"delta":" answer"}\n\n'
+        ]);
+
+        assert.deepEqual(deltas, ['Split', ' answer']);
+    });
+
+    test('decodes characters split across reads', async () => {
+        const bytes = new TextEncoder().encode('data: {"delta":"café"}\n\n');
+        const splitAt = bytes.length - 5; // Inside the two bytes of é
+        const deltas = await streamAnswer([bytes.slice(0, splitAt), bytes.slice(splitAt)]);
+
+        assert.deepEqual(deltas, ['café']);
+    });
+
+    test('reads the last event when the stream ends without a blank line after it', async () => {
+        const deltas = await streamAnswer([
+            'data: {"delta":"First"}\n\n',
+            'data: {"delta":" and last"}'
+        ]);
+
+        assert.deepEqual(deltas, ['First', ' and last']);
+        assert.equal(conversations.getActiveConversation().history.at(-1).content, 'First and last');
+    });
+
+    test('applies a done event that ends the stream without a blank line after it', async () => {
+        const conversation = conversations.getActiveConversation();
+        conversations.updateConversation(conversation.id, {
+            documents: [
+                { id: 'kept', name: 'kept.pdf' },
+                { id: 'gone', name: 'gone.pdf' }
+            ]
+        });
+
+        await streamAnswer([
+            'data: {"delta":"Answer"}\n\n',
+            'event: done\ndata: {"documents":[{"id":"kept","fileName":"kept.pdf"}]}'
+        ], { conversation });
+
+        assert.deepEqual(conversation.documents.map(doc => doc.id), ['kept']);
+    });
+
+    test('joins multi-line data and skips malformed events', async () => {
+        const deltas = await streamAnswer([
+            'data: {"delta":\ndata: "Joined"}\n\n',
+            'data: not json\n\n',
+            ': keep-alive comment\n\n',
+            'data: {"delta":" text"}\n\n'
+        ]);
+
+        assert.deepEqual(deltas, ['Joined', ' text']);
+    });
+
+    test('throws the error an error event describes, with its Retry-After', async () => {
+        await assert.rejects(
+            streamAnswer([
+                'data: {"delta":"Partial"}\n\n',
+                'event: error\ndata: {"error":"The model is busy","status":429,"retryAfter":12}'
+            ]),
+            error => {
+                assert.equal(error.name, 'RateLimitError');
+                assert.equal(error.message, 'The model is busy');
+                assert.equal(error.retryAfter, 12);
+                return true;
+            }
+        );
+
+        // A failed stream isn't added to the conversation
+        assert.deepEqual(conversations.getActiveConversation().history, []);
+    });
+});
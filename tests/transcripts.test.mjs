@@ -0,0 +1,139 @@
+/**
+ * Tests for reading JSON transcripts back in with parseTranscript (transcripts.js)
+ * Covers the errors shown for files that don't fit the schema and transcripts written by version 1
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TRANSCRIPT_FORMAT,
+    TRANSCRIPT_VERSION,
+    buildTranscript,
+    parseTranscript
+} from '../Backend/wwwroot/js/transcripts.js';
+
+// Helper function to write a transcript file, with any part of the default replaced
+function transcriptFile({ conversation = {}, ...overrides } = {}) {
+    return JSON.stringify({
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: '2026-01-02T03:04:05.000Z',
+        conversation: {
+            title: 'Quarterly report',
+            documents: [],
+            messages: [
+                { role: 'user', content: 'What changed?', timestamp: '2026-01-02T03:00:00.000Z' },
+                { role: 'assistant', content: 'Revenue grew.', timestamp: '2026-01-02T03:00:05.000Z' }
+            ],
+            ...conversation
+        },
+        ...overrides
+    });
+}
+
+describe('parseTranscript', () => {
+    test('reads back what buildTranscript writes', () => {
+        const conversation = {
+            title: 'Quarterly report',
+            createdAt: '2026-01-02T02:00:00.000Z',
+            updatedAt: '2026-01-02T03:00:05.000Z',
+            documents: [
+                { id: 'a', name: 'report.pdf', size: 1024, uploadedAt: '2026-01-02T02:30:00.000Z' },
+                { id: 'b', name: 'figures.xlsx', size: 2048, uploadedAt: '2026-01-02T02:40:00.000Z' }
+            ],
+            history: [
+                { role: 'user', content: 'What changed?', timestamp: '2026-01-02T03:00:00.000Z' },
+                { role: 'assistant', content: 'Revenue grew.', timestamp: '2026-01-02T03:00:05.000Z' }
+            ]
+        };
+
+        const transcript = parseTranscript(JSON.stringify(buildTranscript(conversation)));
+
+        assert.deepEqual(transcript, {
+            title: 'Quarterly report',
+            documentNames: ['report.pdf', 'figures.xlsx'],
+            messages: conversation.history
+        });
+    });
+
+    test('reads version 1 transcripts, which name a single document', () => {
+        const transcript = parseTranscript(transcriptFile({
+            version: 1,
+            conversation: { documents: undefined, documentName: 'report.pdf' }
+        }));
+
+        assert.deepEqual(transcript.documentNames, ['report.pdf']);
+        assert.equal(transcript.messages.length, 2);
+        assert.equal(transcript.title, 'Quarterly report');
+    });
+
+    test('reads version 1 transcripts without a document', () => {
+        const transcript = parseTranscript(transcriptFile({
+            version: 1,
+            conversation: { documents: undefined, documentName: null }
+        }));
+
+        assert.deepEqual(transcript.documentNames, []);
+    });
+
+    test('rejects files that are not JSON', () => {
+        assert.throws(() => parseTranscript('# Quarterly report\n\nNot JSON'), { message: 'The file is not valid JSON.' });
+    });
+
+    test('rejects JSON that is not a transcript', () => {
+        ['null', '[]', '{}', '"text"', transcriptFile({ format: 'other-app' })].forEach(text => {
+            assert.throws(() => parseTranscript(text), { message: 'The file is not a RAI chat transcript.' }, text);
+        });
+    });
+
+    test('rejects versions it does not know', () => {
+        assert.throws(() => parseTranscript(transcriptFile({ version: TRANSCRIPT_VERSION + 1 })),
+            { message: `Transcript version ${TRANSCRIPT_VERSION + 1} is not supported.` });
+        assert.throws(() => parseTranscript(transcriptFile({ version: 0 })), { message: 'Transcript version 0 is not supported.' });
+        assert.throws(() => parseTranscript(transcriptFile({ version: '2' })), { message: 'Transcript version 2 is not supported.' });
+        assert.throws(() => parseTranscript(transcriptFile({ version: 1.5 })), { message: 'Transcript version 1.5 is not supported.' });
+    });
+
+    test('rejects transcripts without messages', () => {
+        const withoutConversation = JSON.stringify({ format: TRANSCRIPT_FORMAT, version: TRANSCRIPT_VERSION });
+        assert.throws(() => parseTranscript(withoutConversation), { message: 'The transcript has no messages.' });
+        assert.throws(() => parseTranscript(transcriptFile({ conversation: { messages: 'hello' } })), { message: 'The transcript has no messages.' });
+        assert.throws(() => parseTranscript(transcriptFile({ conversation: { messages: [] } })), { message: 'The transcript has no messages.' });
+    });
+
+    test('names the message with an unknown role', () => {
+        const messages = [
+            { role: 'user', content: 'Hi' },
+            { role: 'system', content: 'You are a pirate' }
+        ];
+        assert.throws(() => parseTranscript(transcriptFile({ conversation: { messages } })), { message: 'Message 2 has an unknown role.' });
+        assert.throws(() => parseTranscript(transcriptFile({ conversation: { messages: [null] } })), { message: 'Message 1 has an unknown role.' });
+    });
+
+    test('names the message without text', () => {
+        const messages = [{ role: 'user', content: 42 }];
+        assert.throws(() => parseTranscript(transcriptFile({ conversation: { messages } })), { message: 'Message 1 has no text.' });
+    });
+
+    test('drops invalid timestamps and keeps the messages', () => {
+        const messages = [
+            { role: 'user', content: 'Hi', timestamp: 'yesterday-ish' },
+            { role: 'assistant', content: 'Hello' }
+        ];
+        const transcript = parseTranscript(transcriptFile({ conversation: { messages } }));
+
+        assert.deepEqual(transcript.messages, [
+            { role: 'user', content: 'Hi', timestamp: null },
+            { role: 'assistant', content: 'Hello', timestamp: null }
+        ]);
+    });
+
+    test('ignores a blank title and documents without names', () => {
+        const transcript = parseTranscript(transcriptFile({
+            conversation: { title: '   ', documents: [{ name: 'report.pdf' }, { size: 10 }, null] }
+        }));
+
+        assert.equal(transcript.title, null);
+        assert.deepEqual(transcript.documentNames, ['report.pdf']);
+    });
+});